@@ -0,0 +1,14 @@
+// netlify/functions/close-runner.js
+// Scheduled a minute past every hour: runs trade-bot's close mode once the 1h candle has closed,
+// so confirmations requested with "Mum Kapanışında Teyit Et" resolve (and notify) without anyone polling.
+// It signs a short-lived system token (see signSystemToken), which makes close mode walk every user's pending previews.
+import { handler as tradeBot } from "./trade-bot.js";
+import { signSystemToken } from "../lib/auth.js";
+
+export async function handler() {
+  const token = process.env.AUTH_SECRET ? signSystemToken(300) : "";
+  const res = await tradeBot({ httpMethod: "GET", queryStringParameters: { mode: "close" }, headers: { authorization: `Bearer ${token}` } });
+  let body = {}; try { body = JSON.parse(res.body); } catch { body = {}; }
+  console.log(`close-runner: status=${res.statusCode} signals=${body.signals?.length ?? 0} invalidated=${body.invalidated?.length ?? 0} notifications=${JSON.stringify(body.notifications ?? null)} error=${body.error ?? ""}`);
+  return res;
+}
@@ -0,0 +1,105 @@
+// netlify/functions/liq-ingest.js
+// Aggregates forced-liquidation events into the liq:{symbol} keys read by trade-bot.
+//   POST { events: [...] }            webhook push (x-liq-secret must match LIQ_WEBHOOK_SECRET; refused when it is unset)
+//   scheduled / GET                   pull from LIQ_SOURCE (LIQ_SOURCE_URL or LIQ_EVENTS_FILE)
+//   GET ?source=file&replay=1        with x-liq-secret: pick the source / re-time the recorded file so its last event lands at "now"
+import crypto from "node:crypto";
+import axios from "axios";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { Redis } from "@upstash/redis";
+import { LIQ_CONFIG, kLiq, kLiqEvents, normalizeLiqEvent, aggregateLiquidations } from "../lib/liquidations.js";
+import { kWatchlist, kWatchlists, kPendingSymbols, kPendingUsers, parseWatchlist } from "../lib/watchlists.js";
+
+const redis = Redis.fromEnv();
+
+function nowMs() { return Date.now(); }
+
+// Every symbol trade-bot may evaluate soon: the env watchlist, all stored watchlists and symbols with a pending preview (e.g. from a scan).
+async function trackedSymbols() {
+  const [names, users] = await Promise.all([redis.smembers(kWatchlists()), redis.smembers(kPendingUsers())]);
+  const [lists, pending] = await Promise.all([names.length ? redis.mget(...names.map(kWatchlist)) : [], Promise.all(users.map((u) => redis.smembers(kPendingSymbols(u))))]);
+  return [...new Set([...parseWatchlist(), ...lists.flatMap((l) => l?.symbols || []), ...pending.flat()])];
+}
+
+function secretMatches(given) {
+  const secret = process.env.LIQ_WEBHOOK_SECRET || "", a = Buffer.from(String(given || "")), b = Buffer.from(secret);
+  return secret.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function parseEventText(text) {
+  const t = text.trim(); if (!t) return [];
+  if (t.startsWith("[")) return JSON.parse(t);
+  return t.split(/\r?\n/).map((l) => l.trim()).filter((l) => l && !l.startsWith("#")).map((l) => JSON.parse(l));
+}
+
+async function loadSourceEvents(source) {
+  if (source === "file") {
+    const file = path.resolve(process.env.LIQ_EVENTS_FILE || "fixtures/liquidations.jsonl");
+    return parseEventText(await fs.readFile(file, "utf8"));
+  }
+  if (source === "http") {
+    const url = process.env.LIQ_SOURCE_URL; if (!url) throw new Error("LIQ_SOURCE_URL is not set.");
+    const { data } = await axios.get(url, { timeout: 15000 });
+    return Array.isArray(data) ? data : data?.events || [];
+  }
+  if (source === "none") return [];
+  throw new Error(`Unknown liquidation source "${source}" (expected http, file or none)`);
+}
+
+function rebaseToNow(events, now) {
+  if (!events.length) return events;
+  const shift = now - Math.max(...events.map((e) => e.ts));
+  return events.map((e) => ({ ...e, ts: e.ts + shift }));
+}
+
+async function ingest(rawEvents, { replay = false } = {}) {
+  const watchlist = await trackedSymbols(); const t = nowMs();
+  let events = rawEvents.map(normalizeLiqEvent).filter(Boolean);
+  const dropped = rawEvents.length - events.length;
+  if (watchlist.length) events = events.filter((e) => watchlist.includes(e.symbol));
+  if (replay) events = rebaseToNow(events, t);
+
+  const bySymbol = new Map();
+  for (const e of events) { if (!bySymbol.has(e.symbol)) bySymbol.set(e.symbol, []); bySymbol.get(e.symbol).push(e); }
+  // Watchlist symbols without new events are re-aggregated too, so old bursts decay out of the window.
+  const symbols = [...new Set([...watchlist, ...bySymbol.keys()])];
+
+  const results = await Promise.all(symbols.map(async (symbol) => {
+    const key = kLiqEvents(symbol); const fresh = bySymbol.get(symbol) || [];
+    // A replay re-times the whole recording, so it replaces what an earlier replay stored instead of stacking on it.
+    if (replay && fresh.length) await redis.del(key);
+    if (fresh.length) await redis.zadd(key, ...fresh.map((e) => ({ score: e.ts, member: JSON.stringify(e) })));
+    await redis.zremrangebyscore(key, 0, t - LIQ_CONFIG.WINDOW_BASELINE_MIN * 60_000);
+    await redis.expire(key, LIQ_CONFIG.TTL_EVENTS_SEC);
+    const stored = await redis.zrange(key, t - LIQ_CONFIG.WINDOW_BASELINE_MIN * 60_000, t, { byScore: true });
+    const agg = aggregateLiquidations(stored.map((m) => (typeof m === "string" ? JSON.parse(m) : m)), t);
+    await redis.set(kLiq(symbol), agg, { ex: LIQ_CONFIG.TTL_AGG_SEC });
+    return { symbol, ingested: fresh.length, ...agg };
+  }));
+
+  return { received: rawEvents.length, dropped, accepted: events.length, symbols: results };
+}
+
+export async function handler(event) {
+  const t0 = nowMs(); const qs = event.queryStringParameters || {};
+  let body = {}; try { body = event.body ? JSON.parse(event.body) : {}; } catch { return json(400, { ok: false, error: "Invalid JSON body" }); }
+
+  try {
+    const authorized = secretMatches(event.headers?.["x-liq-secret"] || event.headers?.["X-Liq-Secret"]);
+    if (event.httpMethod === "POST" && Array.isArray(body.events)) {
+      if (!process.env.LIQ_WEBHOOK_SECRET) return json(503, { ok: false, error: "LIQ_WEBHOOK_SECRET is not set; webhook ingestion is disabled" });
+      if (!authorized) return json(401, { ok: false, error: "Invalid webhook secret" });
+      const res = await ingest(body.events);
+      return json(200, { ok: true, source: "webhook", ...res, ms: nowMs() - t0 });
+    }
+
+    // Scheduled runs arrive as a POST with { next_run } and use LIQ_SOURCE; only callers holding the secret may override it.
+    const source = String((authorized && qs.source) || process.env.LIQ_SOURCE || "none").toLowerCase();
+    const replay = authorized && (qs.replay === "1" || qs.replay === "true");
+    const res = await ingest(await loadSourceEvents(source), { replay });
+    return json(200, { ok: true, source, replay, ...res, ms: nowMs() - t0 });
+  } catch (e) { return json(500, { ok: false, error: String(e?.message || e), ms: nowMs() - t0 }); }
+}
+
+function json(statusCode, body) { return { statusCode, headers: { "content-type": "application/json; charset=utf-8" }, body: JSON.stringify(body) }; }
@@ -1,110 +1,143 @@
 // netlify/functions/trade-bot.js
-import axios from "axios";
 import { RSI, MACD, BollingerBands, ATR } from "technicalindicators";
 import { Redis } from "@upstash/redis";
-
-const CONFIG = {
+import { createProvider, INTERVAL_MS } from "../lib/providers/index.js";
+import { kLiq } from "../lib/liquidations.js";
+import { createNotifier } from "../lib/notifier.js";
+import { createPaperTrading } from "../lib/paper.js";
+import { createHistory, historyKind } from "../lib/history.js";
+import { runEnsemble, strategyNames } from "../lib/strategies.js";
+import { authConfigError, bearerToken, verifyToken, SYSTEM_USER } from "../lib/auth.js";
+import { kWatchlist, kWatchlists, kPendingSymbols, kPendingUsers, parseWatchlist } from "../lib/watchlists.js";
+
+const BASE_CONFIG = {
   MIN_CONF_SHOW: 0, MIN_CONF_CONFIRMED: 0,
   COOLDOWN_CONFIRMED_MIN: 30, COOLDOWN_INVALIDATED_MIN: 15,
   ATR_PERIOD: 14, SL_ATR_MULT_LOW: 2.0, SL_ATR_MULT_HIGH: 3.0,
   RR_BASE: 1.5, RR_HIGH: 2.0, MIN_SL_BPS: 10, MIN_TP_BPS: 15,
+  // Exit plan: partial closes at R multiples of the stop distance, the rest is a runner behind an ATR trailing stop.
+  // BREAKEVEN_AFTER_TP / TRAIL_AFTER_TP are 1-based ladder steps (0 = off).
+  TP_LADDER: [{ r: 1, closePct: 50 }, { r: 2, closePct: 30 }], BREAKEVEN_AFTER_TP: 1, TRAIL_AFTER_TP: 2, TRAIL_ATR_MULT: 1.5,
   LIQ_THR_HIGH: 8, LIQ_THR_MED: 6, LIQ_THR_LOW: 4,
   LIQ_PENALTY_HIGH: 10, LIQ_PENALTY_MED: 7, LIQ_PENALTY_LOW: 4, LIQ_BONUS_ALIGN: 5,
-  FUNDING_WARN_MINUTES: 30, FUNDING_RATE_ABS_WARN: 0.0002,
+  FUNDING_WARN_MINUTES: 30, FUNDING_RATE_ABS_WARN: 0.0002, FUNDING_PENALTY_AGAINST: 5,
+  TTL_MARK_PRICE_SEC: 15, TTL_FUNDING_MIN_SEC: 60, TTL_FUNDING_MAX_SEC: 8 * 3600,
   TTL_COOLDOWN_SEC: 6 * 3600, TTL_PENDING_SEC: 2 * 3600, TTL_LASTSIG_SEC: 6 * 3600,
   DEDUPE_TTL_SECONDS: 120, DEDUPE_SCOPE_SECONDS: 120, KLINE_LIMIT: 200,
   TREND_UP_PCT: 2.0, TREND_DN_PCT: -2.0,
+  // Extra timeframes: "trend" layers add weight * bias to the trend score, "timing" layers only nudge confidence.
+  MTF_LAYERS: [{ interval: "4h", role: "trend", weight: 2, limit: 120 }, { interval: "15m", role: "timing", weight: 1, limit: 120 }],
+  HTF_BONUS_ALIGNED: 5, HTF_PENALTY_CONFLICT: 8, LTF_BONUS_ALIGNED: 3, LTF_PENALTY_AGAINST: 3,
+  ACCOUNT_EQUITY: 1000, RISK_PER_TRADE_PCT: 1, MAX_LEVERAGE: 20, DEFAULT_LOT_STEP: "0.001",
+  // Isolated-margin brackets (Binance USDⓈ-M style): the bracket is picked by position notional.
+  MAINT_MARGIN_TIERS: [{ maxNotional: 50_000, mmr: 0.004 }, { maxNotional: 250_000, mmr: 0.005 }, { maxNotional: 3_000_000, mmr: 0.01 }, { maxNotional: 20_000_000, mmr: 0.025 }, { maxNotional: 1e12, mmr: 0.05 }],
+  BACKTEST_DEFAULT_CANDLES: 720, BACKTEST_MAX_CANDLES: 2000, BACKTEST_WARMUP_BARS: 50, BACKTEST_HORIZON_BARS: 48,
+  BACKTEST_TICKER_BARS: 24, BACKTEST_CONF_BUCKETS: [60, 68, 75],
+  // Open records older than the evaluated candles are replayed on up to OUTCOME_MAX_FETCH_BARS fetched bars, else expired.
+  OUTCOME_EXPIRY_BARS: 48, OUTCOME_MAX_FETCH_BARS: 1000, TTL_OUTCOME_SEC: 90 * 24 * 3600, STATS_DEFAULT_DAYS: 30, STATS_MAX_DAYS: 90, STATS_RECENT_LIMIT: 50,
+  // Direction comes from a weighted vote of netlify/lib/strategies.js; weight 0 = reported in meta.strategies but ignored.
+  STRATEGY_WEIGHTS: { rsi_macd: 1, ema_cross: 0, supertrend: 0, vwap_dev: 0 }, ENSEMBLE_MIN_SCORE: 0.3,
+  EMA_FAST: 9, EMA_SLOW: 21, EMA_CROSS_LOOKBACK: 3, EMA_FULL_SPREAD_PCT: 0.5, SUPERTREND_PERIOD: 10, SUPERTREND_MULT: 3, SUPERTREND_FLIP_LOOKBACK: 3, VWAP_BARS: 24, VWAP_Z_THRESHOLD: 2,
+  // Portfolio guard: same-direction signals whose 1h returns correlate at or above CORR_THRESHOLD form a group, and each
+  // group admits at most EXPOSURE_MAX_GROUP_SIGNALS signals / EXPOSURE_MAX_GROUP_RISK_PCT of equity, highest confidence first (0 = no cap).
+  CORR_LOOKBACK_BARS: 48, CORR_MIN_BARS: 12, CORR_THRESHOLD: 0.8, EXPOSURE_MAX_GROUP_SIGNALS: 2, EXPOSURE_MAX_GROUP_RISK_PCT: 2,
+  WATCHLIST_MAX_SYMBOLS: 50, SCAN_TOP_N: 10, SCAN_MAX_TOP_N: 30, SCAN_MIN_QUOTE_VOLUME: 10_000_000,
+  // Scan score = weighted percentile ranks across the universe (24h quote volume, high-low range, |24h change|).
+  SCAN_WEIGHTS: { volume: 0.4, volatility: 0.3, momentum: 0.3 },
+  // Per-user budget per clock minute; modes that fan out to many upstream requests cost more.
+  RATE_LIMIT_PER_MIN: 60, RATE_LIMIT_COSTS: { scan: 10, backtest: 10, intrabar: 2, close: 2 },
 };
 
-// CoinAPI Configuration
-const COINAPI_BASE = "https://rest.coinapi.io";
-const COINAPI_KEY = process.env.COINAPI_KEY || "22800771-49de-40b7-a534-e29f555258d5"; // Must be set in environment
-const COINAPI_EXCHANGE_ID = "BINANCEFTS"; // Binance Futures default in CoinAPI
+// Active settings for the current invocation: BASE_CONFIG plus the selected profile's overrides.
+// A function instance serves one request at a time, so the handler swaps this at the start of each call.
+let CONFIG = BASE_CONFIG;
+let activeProfile = "default";
 
 const redis = Redis.fromEnv();
-const http = axios.create({
-  baseURL: COINAPI_BASE,
-  timeout: 15000,
-  headers: { "X-CoinAPI-Key": COINAPI_KEY }
-});
+const notifier = createNotifier({ redis });
+const history = createHistory({ redis, json });
+let provider = null;
+let paper = null;
+const HOUR_MS = 3600_000;
 
 function nowMs() { return Date.now(); }
 function floorTimeBucket(ms, bucketSec) { const b = bucketSec * 1000; return Math.floor(ms / b) * b; }
 function clamp(x, a, b) { return Math.max(a, Math.min(b, x)); }
 
-function parseWatchlist() {
-  const raw = (process.env.WATCHLIST || "").trim();
-  if (!raw) return [];
-  return raw.split(",").map((s) => s.trim().toUpperCase()).filter(Boolean);
-}
-
 function minutesTo(tsMs) { return Math.floor((tsMs - nowMs()) / 60000); }
 function bpsToDist(price, bps) { return price * (bps / 10000); }
 
-// Redis Keys
-const kCooldown = (sym) => `sig:cooldown:${sym}`;
-const kPending = (sym) => `sig:pending:${sym}`;
-const kLastSig = (sym) => `sig:lastsig:${sym}`;
-const kDedupe = (id) => `sig:dedupe:${id}`;
-const kLiq = (sym) => `liq:${sym}`;
-
-async function getState(symbol) {
+// Redis Keys (sig:* confirmation state is per user)
+const kCooldown = (user, sym) => `sig:cooldown:${user}:${sym}`;
+const kPending = (user, sym) => `sig:pending:${user}:${sym}`;
+const kLastSig = (user, sym) => `sig:lastsig:${user}:${sym}`;
+const kDedupe = (user, id) => `sig:dedupe:${user}:${id}`;
+const kFunding = (sym) => `mkt:funding:${sym}`;
+const kMark = (sym) => `mkt:mark:${sym}`;
+const kOutcome = (id) => `out:rec:${id}`;
+const kOutcomeOpen = (sym) => `out:open:${sym}`;
+const kOutcomeClosed = () => "out:closed";
+const kProfile = (name) => `cfg:profile:${name}`;
+const kProfiles = () => "cfg:profiles";
+const kOutcomeSymbols = () => "out:symbols";
+const kRate = (user, windowMs) => `rl:${user}:${windowMs}`;
+
+async function getState(user, symbol) {
   const [cooldown, pending, lastsig] = await Promise.all([
-    redis.get(kCooldown(symbol)), redis.get(kPending(symbol)), redis.get(kLastSig(symbol)),
+    redis.get(kCooldown(user, symbol)), redis.get(kPending(user, symbol)), redis.get(kLastSig(user, symbol)),
   ]);
   return { cooldown_until_ts: cooldown?.cooldown_until_ts ?? 0, pending_confirm: pending ?? null, last_signal: lastsig ?? null };
 }
 
-async function saveCooldown(symbol, cooldownUntilMs) { await redis.set(kCooldown(symbol), { cooldown_until_ts: cooldownUntilMs }, { ex: CONFIG.TTL_COOLDOWN_SEC }); }
-async function savePending(symbol, pendingObj) { await redis.set(kPending(symbol), pendingObj, { ex: CONFIG.TTL_PENDING_SEC }); }
-async function clearPending(symbol) { await redis.del(kPending(symbol)); }
-async function saveLastSignal(symbol, obj) { await redis.set(kLastSig(symbol), obj, { ex: CONFIG.TTL_LASTSIG_SEC }); }
-async function tryDedupeOrDrop(signalId) { const ok = await redis.set(kDedupe(signalId), 1, { nx: true, ex: CONFIG.DEDUPE_TTL_SECONDS }); return ok === "OK"; }
-
-// --- CoinAPI Data Fetching ---
-
-async function fetchCoinApiSymbols() {
-  const { data } = await http.get("/v1/symbols", {
-    params: { filter_exchange_id: COINAPI_EXCHANGE_ID, filter_asset_id: "USDT" }
-  });
-  return data;
+async function saveCooldown(user, symbol, cooldownUntilMs) { await redis.set(kCooldown(user, symbol), { cooldown_until_ts: cooldownUntilMs }, { ex: CONFIG.TTL_COOLDOWN_SEC }); }
+async function savePending(user, symbol, pendingObj) { await Promise.all([redis.set(kPending(user, symbol), pendingObj, { ex: CONFIG.TTL_PENDING_SEC }), redis.sadd(kPendingSymbols(user), symbol), redis.sadd(kPendingUsers(), user)]); }
+async function clearPending(user, symbol) { await Promise.all([redis.del(kPending(user, symbol)), redis.srem(kPendingSymbols(user), symbol)]); }
+async function saveLastSignal(user, symbol, obj) { await redis.set(kLastSig(user, symbol), obj, { ex: CONFIG.TTL_LASTSIG_SEC }); }
+async function tryDedupeOrDrop(user, signalId) { const ok = await redis.set(kDedupe(user, signalId), 1, { nx: true, ex: CONFIG.DEDUPE_TTL_SECONDS }); return ok === "OK"; }
+
+// --- Market Data (see netlify/lib/providers; cache.js counts upstream requests and serves stale data on failure) ---
+
+function getProvider() { if (!provider) provider = createProvider(undefined, { redis }); return provider; }
+async function quotaReport() { return provider?.usageReport ? await provider.usageReport() : null; }
+
+async function fetchSymbols() { return await getProvider().fetchSymbols(); }
+async function fetchTickerDaily(symbolId) { return await getProvider().fetchTickerDaily(symbolId); }
+
+// Funding only changes at the funding timestamp, so it is cached until then; mark price is kept briefly.
+// A fresh fetch that also carries the mark price seeds the mark cache, so no second upstream call is made.
+async function fetchFundingCached(symbol, symbolId) {
+  const cached = await redis.get(kFunding(symbol)).catch(() => null);
+  if (cached && Number(cached.nextFundingTime) > nowMs()) return cached;
+  const { markPrice, ...fresh } = await getProvider().fetchFunding(symbolId, symbol);
+  const writes = [];
+  if (fresh.nextFundingTime > nowMs()) {
+    const ttl = clamp(Math.ceil((fresh.nextFundingTime - nowMs()) / 1000), CONFIG.TTL_FUNDING_MIN_SEC, CONFIG.TTL_FUNDING_MAX_SEC);
+    writes.push(redis.set(kFunding(symbol), fresh, { ex: ttl }).catch(() => null));
+  }
+  if (markPrice > 0) writes.push(redis.set(kMark(symbol), { markPrice }, { ex: CONFIG.TTL_MARK_PRICE_SEC }).catch(() => null));
+  await Promise.all(writes);
+  return markPrice > 0 ? { ...fresh, markPrice } : fresh;
 }
 
-async function fetchTickerDaily(symbolId) {
-  const { data } = await http.get(`/v1/ohlcv/${symbolId}/history`, {
-    params: { period_id: "1DAY", limit: 1 }
-  });
-  if (!data || !data.length) throw new Error(`No daily OHLCV data for ${symbolId}`);
-  const candle = data[0];
-  return {
-    symbol: symbolId,
-    priceChangePercent: ((candle.price_close - candle.price_open) / candle.price_open) * 100,
-    highPrice: candle.price_high,
-    lowPrice: candle.price_low,
-    lastPrice: candle.price_close,
-    volume: candle.volume_traded
-  };
+async function fetchMarkPriceCached(symbol, symbolId) {
+  const cached = await redis.get(kMark(symbol)).catch(() => null);
+  if (cached?.markPrice > 0) return Number(cached.markPrice);
+  const markPrice = await getProvider().fetchMarkPrice(symbolId, symbol);
+  if (markPrice > 0) await redis.set(kMark(symbol), { markPrice }, { ex: CONFIG.TTL_MARK_PRICE_SEC }).catch(() => null);
+  return markPrice;
 }
 
-async function fetchMarketData(symbolId) {
+async function fetchMarketData(symbol, symbolId) {
   try {
-    return {
-      markPrice: 0,
-      lastFundingRate: 0,
-      nextFundingTime: 0
-    };
+    const funding = await fetchFundingCached(symbol, symbolId);
+    const markPrice = funding.markPrice > 0 ? funding.markPrice : await fetchMarkPriceCached(symbol, symbolId);
+    return { markPrice: Number(markPrice) || 0, lastFundingRate: Number(funding.lastFundingRate) || 0, nextFundingTime: Number(funding.nextFundingTime) || 0 };
   } catch (err) {
     return { markPrice: 0, lastFundingRate: 0, nextFundingTime: 0 };
   }
 }
 
-async function fetchKlines1h(symbolId, limit) {
-  const { data } = await http.get(`/v1/ohlcv/${symbolId}/history`, {
-    params: { period_id: "1HRS", limit: limit }
-  });
-  if (!data || !data.length) throw new Error(`No hourly OHLCV data for ${symbolId}`);
-  return data.sort((a, b) => new Date(a.time_period_start) - new Date(b.time_period_start));
-}
+async function fetchKlines1h(symbolId, limit) { return await getProvider().fetchKlines(symbolId, "1h", limit); }
 
 function tickDecimals(tickSize) {
   if (!tickSize) return 2;
@@ -141,12 +174,12 @@ function roundSLTP(entry, sl, tp, tickSize, direction) {
 function parseCandleRows(data) {
   const open = [], high = [], low = [], close = [], volume = [], closeTime = [];
   for (const d of data) {
-    open.push(d.price_open);
-    high.push(d.price_high);
-    low.push(d.price_low);
-    close.push(d.price_close);
-    volume.push(d.volume_traded);
-    closeTime.push(new Date(d.time_period_end).getTime());
+    open.push(d.open);
+    high.push(d.high);
+    low.push(d.low);
+    close.push(d.close);
+    volume.push(d.volume);
+    closeTime.push(d.closeTime);
   }
   return { open, high, low, close, volume, closeTime };
 }
@@ -168,7 +201,7 @@ function computeIndicatorsFromCandles(c) {
   return { rsi, macd, bb, bbWidthClass, bbPos, atr, volumeRatio, lastClose: closes[closes.length - 1], lastCandleCloseTime: c.closeTime[c.closeTime.length - 1] };
 }
 
-function classifyTrend(tickerDaily, ind) {
+function classifyTrend(tickerDaily, ind, layers = []) {
   const chg = Number(tickerDaily.priceChangePercent);
   let base = "SIDE";
   if (chg > CONFIG.TREND_UP_PCT) base = "UP";
@@ -182,11 +215,55 @@ function classifyTrend(tickerDaily, ind) {
     if (ind.macd.histogram < 0) score -= 1;
   }
   score += ind?.bbPos ?? 0;
+  for (const l of layers) if (l.role === "trend") score += l.weight * l.bias;
   if (score >= 2) return "UP";
   if (score <= -2) return "DOWN";
   return "SIDE";
 }
 
+// --- Multi-timeframe layers ---
+
+function layerBias(role, ind) {
+  if (role === "timing") { const m = computeMomentum(ind); return m.score >= 2 ? 1 : m.score <= -2 ? -1 : 0; }
+  let score = ind.bbPos;
+  if (ind.macd.histogram > 0) score += 1; else if (ind.macd.histogram < 0) score -= 1;
+  if (ind.rsi >= 55) score += 1; else if (ind.rsi <= 45) score -= 1;
+  return score >= 2 ? 1 : score <= -2 ? -1 : 0;
+}
+
+function buildLayer(spec, c) {
+  const ind = computeIndicatorsFromCandles(c); if (ind.rsi == null || ind.macd == null) return null;
+  return { interval: spec.interval, role: spec.role, weight: spec.weight, bias: layerBias(spec.role, ind) };
+}
+
+async function fetchTimeframeLayers(symbolId) {
+  const built = await Promise.all(CONFIG.MTF_LAYERS.map(async (spec) => {
+    try { return buildLayer(spec, parseCandleRows(await getProvider().fetchKlines(symbolId, spec.interval, spec.limit))); } catch { return null; }
+  }));
+  return { layers: built.filter(Boolean), missing: CONFIG.MTF_LAYERS.filter((_, i) => !built[i]).map((s) => s.interval) };
+}
+
+// Aggregates hourly bars into a higher timeframe, so the backtest can rebuild trend layers from 1h history.
+function resampleCandles(c, from, to, intervalMs) {
+  const out = { open: [], high: [], low: [], close: [], volume: [], closeTime: [] }; let bucket = null;
+  for (let k = from; k < to; k++) {
+    const b = Math.floor((c.closeTime[k] - HOUR_MS) / intervalMs) * intervalMs; const n = out.close.length - 1;
+    if (b !== bucket) { bucket = b; out.open.push(c.open[k]); out.high.push(c.high[k]); out.low.push(c.low[k]); out.close.push(c.close[k]); out.volume.push(c.volume[k]); out.closeTime.push(b + intervalMs); continue; }
+    out.high[n] = Math.max(out.high[n], c.high[k]); out.low[n] = Math.min(out.low[n], c.low[k]); out.close[n] = c.close[k]; out.volume[n] += c.volume[k];
+  }
+  return out;
+}
+
+function applyTimeframeAdjustments(direction, confidence, layers) {
+  const reasons = []; let conf = confidence; const dirSign = direction === "LONG" ? 1 : -1;
+  const htf = layers.filter((l) => l.role === "trend" && l.bias !== 0), ltf = layers.filter((l) => l.role === "timing" && l.bias !== 0);
+  if (htf.some((l) => l.bias === -dirSign)) { conf -= CONFIG.HTF_PENALTY_CONFLICT; reasons.push("HTF_CONFLICT"); }
+  else if (htf.length) { conf += CONFIG.HTF_BONUS_ALIGNED; reasons.push("HTF_ALIGNED"); }
+  if (ltf.some((l) => l.bias === -dirSign)) { conf -= CONFIG.LTF_PENALTY_AGAINST; reasons.push("LTF_TIMING_AGAINST"); }
+  else if (ltf.length) { conf += CONFIG.LTF_BONUS_ALIGNED; reasons.push("LTF_TIMING_OK"); }
+  return { confidence: clamp(conf, 0, 100), reasons };
+}
+
 function computeMomentum(ind) {
   const rsi = ind.rsi, vr = ind.volumeRatio, bbw = ind.bbWidthClass; let score = 0;
   if (rsi != null) { if (rsi >= 60) score += 2; else if (rsi >= 52) score += 1; else if (rsi <= 40) score -= 2; else if (rsi <= 48) score -= 1; }
@@ -195,14 +272,12 @@ function computeMomentum(ind) {
   let strength = "WEAK"; if (Math.abs(score) >= 4) strength = "STRONG"; else if (Math.abs(score) >= 2) strength = "MED"; return { score, strength };
 }
 
-function directionCandidate(trend, ind) {
-  const rsi = ind.rsi, macdH = ind.macd?.histogram;
-  if (trend === "UP") { if (rsi != null && rsi >= 70) return { dir: "SHORT_CANDIDATE", reason: "RSI_OVERBOUGHT_IN_UPTREND" }; return { dir: "LONG", reason: "UPTREND_RSI_OK" }; }
-  if (trend === "DOWN") { if (rsi != null && rsi <= 30) return { dir: "LONG_CANDIDATE", reason: "RSI_OVERSOLD_IN_DOWNTREND" }; return { dir: "SHORT", reason: "DOWNTREND_RSI_OK" }; }
-  if (rsi != null && macdH != null) { if (rsi > 55 && macdH > 0) return { dir: "LONG", reason: "SIDE_BULL_BIAS" }; if (rsi < 45 && macdH < 0) return { dir: "SHORT", reason: "SIDE_BEAR_BIAS" }; }
-  return { dir: "NO_TRADE", reason: "SIDE_NO_EDGE" };
+function directionCandidate(c, trend, ind) {
+  return runEnsemble(c, { trend, ind, params: CONFIG }, CONFIG.STRATEGY_WEIGHTS, CONFIG.ENSEMBLE_MIN_SCORE);
 }
 
+function strategyVotes(ensemble) { return Object.fromEntries(ensemble.votes.map((v) => [v.name, v.direction])); }
+
 function baseConfidence(trend, momentum, tickerDaily) {
   const high = Number(tickerDaily.highPrice), low = Number(tickerDaily.lowPrice), last = Number(tickerDaily.lastPrice);
   const vol = last > 0 ? ((high - low) / last) * 100 : 0;
@@ -231,6 +306,23 @@ function applyLiquidationAdjustments(direction, confidence, liq) {
   return { confidence: clamp(conf, 0, 100), veto, warnings };
 }
 
+// Positive funding: longs pay shorts. Paying a high rate erodes the trade, so it costs confidence.
+function applyFundingAdjustments(direction, confidence, marketData) {
+  const warnings = []; let conf = confidence;
+  const rate = Number(marketData.lastFundingRate), nextFundingMs = Number(marketData.nextFundingTime);
+  if (!Number.isFinite(rate) || Math.abs(rate) < CONFIG.FUNDING_RATE_ABS_WARN) return { confidence: conf, warnings };
+  if (nextFundingMs > 0 && minutesTo(nextFundingMs) <= CONFIG.FUNDING_WARN_MINUTES) warnings.push("FUNDING_SOON_HIGH_RATE");
+  const against = (direction === "LONG" && rate > 0) || (direction === "SHORT" && rate < 0);
+  if (against) { conf -= CONFIG.FUNDING_PENALTY_AGAINST; warnings.push("FUNDING_AGAINST_DIRECTION"); }
+  return { confidence: clamp(conf, 0, 100), warnings };
+}
+
+function entryFromMarket(tickerDaily, marketData) {
+  const mark = Number(marketData.markPrice);
+  if (mark > 0) return { entry: mark, entrySource: "MARK" };
+  return { entry: Number(tickerDaily.lastPrice), entrySource: "LAST" };
+}
+
 function chooseSLMult(confidence, momentumStrength, isReversal, liqIntensity, bbWidthClass) {
   let mult = CONFIG.SL_ATR_MULT_LOW; if (isReversal) mult = Math.max(mult, 2.5); if (confidence < 68) mult = Math.max(mult, 2.5);
   if (liqIntensity >= CONFIG.LIQ_THR_MED) mult = Math.max(mult, 2.5); if (bbWidthClass === "high") mult = Math.max(mult, 2.5); return Math.min(CONFIG.SL_ATR_MULT_HIGH, mult);
@@ -245,182 +337,998 @@ function pickTpSlATR({ entry, atr, direction, confidence, momentumStrength, isRe
   return { slPrice: sl, tpPrice: tp, atr, slAtrMult: slMult, rr };
 }
 
+// TP ladder + stop rules for an already tick-rounded stop. Every level goes through roundSLTP.
+function buildExitPlan({ entry, slPrice, atr, direction, tickSize }) {
+  const risk = Math.abs(entry - slPrice); if (!(risk > 0)) return { targets: [], stopRules: null };
+  const sign = direction === "LONG" ? 1 : -1, ladder = CONFIG.TP_LADDER;
+  const targets = ladder.map((t, i) => ({ label: `TP${i + 1}`, r: t.r, price: roundSLTP(entry, slPrice, entry + sign * t.r * risk, tickSize, direction).tpPrice, closePct: t.closePct }));
+  const runnerPct = 100 - ladder.reduce((a, t) => a + t.closePct, 0);
+  if (runnerPct > 0) targets.push({ label: "RUNNER", r: null, price: null, closePct: runnerPct });
+  const step = Number(tickSize) || 0, trailDist = CONFIG.TRAIL_ATR_MULT * atr;
+  const stopRules = {
+    breakevenAfter: CONFIG.BREAKEVEN_AFTER_TP > 0 ? `TP${CONFIG.BREAKEVEN_AFTER_TP}` : null, breakevenPrice: roundToTick(entry, tickSize, direction === "LONG" ? "up" : "down"),
+    trailAfter: CONFIG.TRAIL_AFTER_TP > 0 && runnerPct > 0 ? `TP${CONFIG.TRAIL_AFTER_TP}` : null, trailAtrMult: CONFIG.TRAIL_ATR_MULT, trailDistance: step > 0 ? Number((Math.ceil(trailDist / step - 1e-9) * step).toFixed(tickDecimals(tickSize))) : trailDist,
+  };
+  return { targets, stopRules };
+}
+
+// --- Position Sizing ---
+
+// Maintenance amount per bracket follows from continuity: cum_n = cum_(n-1) + floor_n * (mmr_n - mmr_(n-1)).
+function maintenanceBracket(notional, tiers) {
+  let cum = 0, prevMmr = 0, floor = 0;
+  for (const t of tiers) {
+    cum += floor * (t.mmr - prevMmr);
+    if (notional <= t.maxNotional) return { mmr: t.mmr, maintAmount: cum };
+    prevMmr = t.mmr; floor = t.maxNotional;
+  }
+  const last = tiers[tiers.length - 1]; return { mmr: last.mmr, maintAmount: cum };
+}
+
+function floorToStep(qty, stepSize) {
+  const step = Number(stepSize); if (!(step > 0)) return qty;
+  return Number((Math.floor(qty / step + 1e-9) * step).toFixed(tickDecimals(stepSize)));
+}
+
+function sizePosition({ entry, slPrice, direction, tickSize, stepSize, equity = CONFIG.ACCOUNT_EQUITY, riskPct = CONFIG.RISK_PER_TRADE_PCT, leverage = CONFIG.MAX_LEVERAGE }) {
+  const warnings = [];
+  const stopDist = Math.abs(entry - slPrice); if (!(equity > 0) || !(stopDist > 0) || !(entry > 0)) return { sizing: null, warnings };
+  const lotStep = stepSize || CONFIG.DEFAULT_LOT_STEP;
+  const riskAmount = equity * (riskPct / 100);
+  let qty = floorToStep(riskAmount / stopDist, lotStep);
+  const maxQty = floorToStep((equity * leverage) / entry, lotStep);
+  if (qty > maxQty) { qty = maxQty; warnings.push("SIZE_CAPPED_BY_LEVERAGE"); }
+  if (!(qty > 0)) return { sizing: null, warnings: [...warnings, "SIZE_BELOW_LOT_STEP"] };
+
+  const notional = qty * entry; const margin = notional / leverage;
+  const { mmr, maintAmount } = maintenanceBracket(notional, CONFIG.MAINT_MARGIN_TIERS);
+  // Isolated margin, one-way mode: liq = (margin + maintAmount - side*qty*entry) / (qty*mmr - side*qty).
+  const side = direction === "LONG" ? 1 : -1;
+  const liqRaw = (margin + maintAmount - side * qty * entry) / (qty * mmr - side * qty);
+  const liqPrice = liqRaw > 0 ? roundToTick(liqRaw, tickSize, direction === "LONG" ? "up" : "down") : 0;
+  if (liqPrice > 0 && (direction === "LONG" ? liqPrice >= slPrice : liqPrice <= slPrice)) warnings.push("LIQ_PRICE_INSIDE_STOP");
+
+  return { sizing: { equity, riskPct, riskAmount: roundN(qty * stopDist, 2), qty, lotStep: String(lotStep), notional: roundN(notional, 2), leverage, margin: roundN(margin, 2), mmr, liqPrice }, warnings };
+}
+
 function makePreviewId(symbol, direction, bucketMs) { return `PREVIEW|${symbol}|${direction}|${bucketMs}`; }
 function makeConfirmedId(symbol, direction, candleCloseTimeMs) { return `CONFIRMED|${symbol}|${direction}|${candleCloseTimeMs}`; }
 
-async function evaluateIntrabarForSymbol({ symbol, symbolId, tickSize, tickerDaily, marketData }) {
+async function evaluateIntrabarForSymbol({ user, symbol, symbolId, tickSize, stepSize, tickerDaily, marketData, audit = {} }) {
   // Skip cooldown check temporarily for debugging
-  // const st = await getState(symbol); if (nowMs() < st.cooldown_until_ts) return null;
+  // const st = await getState(user, symbol); if (nowMs() < st.cooldown_until_ts) return null;
   if (!tickerDaily) return { id: `SKIP|${symbol}`, symbol, mode: "PREVIEW", direction: "NONE", confidence: 0, entryRefPrice: 0, reasons: ["NO_TICKER_DATA"], warnings: [], timestamps: { created: nowMs() } };
 
   const krows = await fetchKlines1h(symbolId, CONFIG.KLINE_LIMIT);
-  const c = parseCandleRows(krows);
+  const c = parseCandleRows(krows); audit.closes = { closeTime: c.closeTime, close: c.close };
+  // The preview reads the forming bar; outcomes only resolve on closed ones.
+  await resolveOutcomes(symbol, symbolId, parseCandleRows(krows.filter((r) => r.closeTime <= nowMs()))).catch(() => null);
 
   if (c.close.length < CONFIG.ATR_PERIOD + 2) return { id: `SKIP|${symbol}`, symbol, mode: "PREVIEW", direction: "NONE", confidence: 0, entryRefPrice: Number(tickerDaily.lastPrice), reasons: [`INSUFFICIENT_DATA_${c.close.length}_candles`], warnings: [], timestamps: { created: nowMs() } };
 
-  const ind = computeIndicatorsFromCandles(c);
+  const ind = computeIndicatorsFromCandles(c); audit.snapshot = indicatorSnapshot(ind);
   if (ind.rsi == null || ind.macd == null || ind.bb == null || ind.atr == null) return { id: `SKIP|${symbol}`, symbol, mode: "PREVIEW", direction: "NONE", confidence: 0, entryRefPrice: Number(tickerDaily.lastPrice), reasons: ["INDICATORS_NULL"], warnings: [], timestamps: { created: nowMs() } };
 
-  const trend = classifyTrend(tickerDaily, ind); const momentum = computeMomentum(ind); const cand = directionCandidate(trend, ind);
+  const mtf = await fetchTimeframeLayers(symbolId);
+  const trend = classifyTrend(tickerDaily, ind, mtf.layers); const momentum = computeMomentum(ind); const cand = directionCandidate(c, trend, ind);
+  Object.assign(audit.snapshot, { trend, momentumScore: momentum.score, candidate: cand.dir, ensembleScore: cand.ensemble.score, timeframes: mtf.layers.map(({ interval, bias }) => ({ interval, bias })) });
 
   let direction = cand.dir, isReversal = false;
   if (cand.dir === "LONG_CANDIDATE") { direction = "LONG"; isReversal = true; } else if (cand.dir === "SHORT_CANDIDATE") { direction = "SHORT"; isReversal = true; }
 
   if (cand.dir === "NO_TRADE") {
-    return { id: `SKIP|${symbol}`, symbol, mode: "PREVIEW", direction: "NONE", confidence: 0, entryRefPrice: Number(tickerDaily.lastPrice), reasons: [cand.reason, `TREND=${trend}`, `MOM=${momentum.strength}`, "NO_TRADE_EDGE"], warnings: [], timestamps: { created: nowMs() } };
+    return { id: `SKIP|${symbol}`, symbol, mode: "PREVIEW", direction: "NONE", confidence: 0, entryRefPrice: Number(tickerDaily.lastPrice), reasons: [cand.reason, `TREND=${trend}`, `MOM=${momentum.strength}`, "NO_TRADE_EDGE"], meta: { strategies: cand.ensemble }, warnings: [], timestamps: { created: nowMs() } };
   }
 
   let conf = baseConfidence(trend, momentum, tickerDaily);
+  const tfAdj = applyTimeframeAdjustments(direction, conf, mtf.layers); conf = tfAdj.confidence;
   const liq = await getLiquidationFromRedis(symbol);
   const liqAdj = applyLiquidationAdjustments(direction, conf, liq); conf = liqAdj.confidence;
+  const fundAdj = applyFundingAdjustments(direction, conf, marketData); conf = fundAdj.confidence;
 
-  const entry = Number(tickerDaily.lastPrice);
+  const { entry, entrySource } = entryFromMarket(tickerDaily, marketData);
   if (!(entry > 0)) return { id: `SKIP|${symbol}`, symbol, mode: "PREVIEW", direction, confidence: conf, entryRefPrice: 0, reasons: ["BAD_ENTRY_PRICE"], warnings: [], timestamps: { created: nowMs() } };
 
-  const warnings = [...liqAdj.warnings];
-  if (marketData.nextFundingTime > 0) {
-    const nextFundingMs = Number(marketData.nextFundingTime);
-    const lastFundingRate = Number(marketData.lastFundingRate);
-    if (Number.isFinite(nextFundingMs) && minutesTo(nextFundingMs) <= CONFIG.FUNDING_WARN_MINUTES && Math.abs(lastFundingRate) >= CONFIG.FUNDING_RATE_ABS_WARN) { warnings.push("FUNDING_SOON_HIGH_RATE"); }
-  }
+  const warnings = [...liqAdj.warnings, ...fundAdj.warnings];
+  if (mtf.missing.length) warnings.push("MTF_UNAVAILABLE");
 
   const tpsl = pickTpSlATR({ entry, atr: ind.atr, direction, confidence: conf, momentumStrength: momentum.strength, isReversal, liqIntensity: liq.intensityScore, bbWidthClass: ind.bbWidthClass });
   if (!tpsl) return { id: `SKIP|${symbol}`, symbol, mode: "PREVIEW", direction, confidence: conf, entryRefPrice: entry, reasons: ["ATR_TPSL_FAILED"], warnings, timestamps: { created: nowMs() } };
 
   const rounded = roundSLTP(entry, tpsl.slPrice, tpsl.tpPrice, tickSize, direction);
+  const sized = sizePosition({ entry, slPrice: rounded.slPrice, direction, tickSize, stepSize }); warnings.push(...sized.warnings);
+  const plan = buildExitPlan({ entry, slPrice: rounded.slPrice, atr: tpsl.atr, direction, tickSize });
   const bucketMs = floorTimeBucket(nowMs(), CONFIG.DEDUPE_SCOPE_SECONDS);
   const sigId = makePreviewId(symbol, direction, bucketMs);
   // Skip dedupe for debugging - always show signals
-  // const deduped = await tryDedupeOrDrop(sigId); if (!deduped) return null;
-
-  const signal = { id: sigId, symbol, mode: "PREVIEW", direction, confidence: conf, entryRefPrice: entry, tpPrice: rounded.tpPrice, slPrice: rounded.slPrice, meta: { atr: tpsl.atr, slAtrMult: tpsl.slAtrMult, rr: tpsl.rr, tickSize }, reasons: [cand.reason, `TREND=${trend}`, `MOM=${momentum.strength}`, "ATR_TPSL", "TICK_ROUNDED"], warnings, timestamps: { created: nowMs() }, };
-
-  try {
-    const pendingObj = { signal_id: sigId, direction, created_ts: nowMs(), confirm_requested: false, snapshot_metrics: { momentumScore: momentum.score, bbWidthClass: ind.bbWidthClass, atr: ind.atr, lastCandleCloseTime: ind.lastCandleCloseTime }, };
-    await Promise.all([savePending(symbol, pendingObj), saveLastSignal(symbol, { ts: nowMs(), id: sigId, mode: "PREVIEW" })]);
-  } catch (redisErr) {
-    signal.warnings.push("REDIS_SAVE_FAILED");
-  }
+  // const deduped = await tryDedupeOrDrop(user, sigId); if (!deduped) return null;
+
+  const signal = { id: sigId, symbol, mode: "PREVIEW", direction, confidence: conf, entryRefPrice: entry, tpPrice: rounded.tpPrice, slPrice: rounded.slPrice, targets: plan.targets, stopRules: plan.stopRules, meta: { atr: tpsl.atr, slAtrMult: tpsl.slAtrMult, rr: tpsl.rr, tickSize, entrySource, fundingRate: marketData.lastFundingRate, nextFundingTime: marketData.nextFundingTime, timeframes: mtf.layers.map(({ interval, role, bias }) => ({ interval, role, bias })), strategies: cand.ensemble, profile: activeProfile, user }, sizing: sized.sizing, reasons: [cand.reason, `TREND=${trend}`, `MOM=${momentum.strength}`, ...tfAdj.reasons, "ATR_TPSL", "TICK_ROUNDED"], warnings, timestamps: { created: nowMs() }, };
+
+  // Saved by persistBatch once the exposure guard has passed the signal; a suppressed preview leaves no pending state.
+  // sizing_inputs: the equity / risk / leverage the preview was sized with; the confirmation (often the scheduled run, which has no query) reuses them.
+  const pendingObj = { signal_id: sigId, direction, created_ts: nowMs(), confirm_requested: false, profile: activeProfile, sizing_inputs: { equity: CONFIG.ACCOUNT_EQUITY, riskPct: CONFIG.RISK_PER_TRADE_PCT, leverage: CONFIG.MAX_LEVERAGE }, signal, snapshot_metrics: { momentumScore: momentum.score, bbWidthClass: ind.bbWidthClass, atr: ind.atr, lastCandleCloseTime: ind.lastCandleCloseTime }, };
+  audit.persist = async (suppressed) => {
+    if (suppressed) return;
+    try {
+      // A refresh in the same direction keeps a confirmation the user already requested with wait_close.
+      const prev = await redis.get(kPending(user, symbol)); if (prev?.confirm_requested === true && prev.direction === direction) pendingObj.confirm_requested = true;
+      await Promise.all([savePending(user, symbol, pendingObj), saveLastSignal(user, symbol, { ts: nowMs(), id: sigId, mode: "PREVIEW" })]);
+    } catch (redisErr) { signal.warnings.push("REDIS_SAVE_FAILED"); }
+  };
 
   return signal;
 }
 
-async function userRequestConfirm(symbol) {
-  const st = await getState(symbol); const p = st.pending_confirm; if (!p) return { ok: false, reason: "NO_PENDING_PREVIEW" };
-  p.confirm_requested = true; await savePending(symbol, p); return { ok: true };
+async function userRequestWatch(user, symbol) {
+  const st = await getState(user, symbol); const p = st.pending_confirm; if (!p?.signal) return { ok: false, reason: "NO_PENDING_PREVIEW" };
+  const rec = await trackSignal(p.signal, "WATCH", { user }); return { ok: true, id: rec.id };
+}
+
+async function userRequestConfirm(user, symbol) {
+  const st = await getState(user, symbol); const p = st.pending_confirm; if (!p) return { ok: false, reason: "NO_PENDING_PREVIEW" };
+  p.confirm_requested = true; await savePending(user, symbol, p); return { ok: true };
 }
 
-async function confirmOnCloseForSymbol({ symbol, symbolId, tickSize, tickerDaily, marketData }) {
-  const st = await getState(symbol); const p = st.pending_confirm; if (!p) return null; if (p.confirm_requested !== true) return null;
+async function confirmOnCloseForSymbol({ user, symbol, symbolId, tickSize, stepSize, tickerDaily, marketData, audit = {} }) {
+  const st = await getState(user, symbol); const p = st.pending_confirm; if (!p) return null; if (p.confirm_requested !== true) return null;
   if (!tickerDaily) return null;
 
-  const krows = await fetchKlines1h(symbolId, CONFIG.KLINE_LIMIT); const c = parseCandleRows(krows);
-  if (c.close.length < CONFIG.ATR_PERIOD + 2) return await invalidate(symbol, "CLOSE_ATR_UNAVAILABLE");
+  // Only fully closed bars count here; providers also return the bar that is still forming.
+  const krows = await fetchKlines1h(symbolId, CONFIG.KLINE_LIMIT); const c = parseCandleRows(krows.filter((r) => r.closeTime <= nowMs())); audit.closes = { closeTime: c.closeTime, close: c.close };
+  await resolveOutcomes(symbol, symbolId, c).catch(() => null);
+  if (c.close.length < CONFIG.ATR_PERIOD + 2) return await invalidate(user, symbol, "CLOSE_ATR_UNAVAILABLE");
 
-  const ind = computeIndicatorsFromCandles(c);
-  if (ind.rsi == null || ind.macd == null || ind.bb == null || ind.atr == null) return await invalidate(symbol, "CLOSE_ATR_UNAVAILABLE");
+  const ind = computeIndicatorsFromCandles(c); audit.snapshot = indicatorSnapshot(ind);
+  if (ind.rsi == null || ind.macd == null || ind.bb == null || ind.atr == null) return await invalidate(user, symbol, "CLOSE_ATR_UNAVAILABLE");
 
-  const trend = classifyTrend(tickerDaily, ind); const momentum = computeMomentum(ind); const cand = directionCandidate(trend, ind);
-  if (cand.dir === "NO_TRADE") return await invalidate(symbol, "CLOSE_NO_TRADE");
+  const mtf = await fetchTimeframeLayers(symbolId);
+  const trend = classifyTrend(tickerDaily, ind, mtf.layers); const momentum = computeMomentum(ind); const cand = directionCandidate(c, trend, ind);
+  Object.assign(audit.snapshot, { trend, momentumScore: momentum.score, candidate: cand.dir, ensembleScore: cand.ensemble.score, timeframes: mtf.layers.map(({ interval, bias }) => ({ interval, bias })) });
+  if (cand.dir === "NO_TRADE") return await invalidate(user, symbol, "CLOSE_NO_TRADE");
 
   let directionNow = cand.dir, isReversalNow = false;
   if (cand.dir === "LONG_CANDIDATE") { directionNow = "LONG"; isReversalNow = true; } else if (cand.dir === "SHORT_CANDIDATE") { directionNow = "SHORT"; isReversalNow = true; }
 
-  if (directionNow !== p.direction) return await invalidate(symbol, "CLOSE_DIRECTION_CHANGED");
-  if (isReversalNow) { const ok = (directionNow === "SHORT" && ind.rsi < 70) || (directionNow === "LONG" && ind.rsi > 30) || (momentum.score < (p.snapshot_metrics?.momentumScore ?? momentum.score)) || (momentum.score > (p.snapshot_metrics?.momentumScore ?? momentum.score)); if (!ok) return await invalidate(symbol, "CLOSE_REVERSAL_NOT_CONFIRMED"); }
+  if (directionNow !== p.direction) return await invalidate(user, symbol, "CLOSE_DIRECTION_CHANGED");
+  if (isReversalNow) { const ok = (directionNow === "SHORT" && ind.rsi < 70) || (directionNow === "LONG" && ind.rsi > 30) || (momentum.score < (p.snapshot_metrics?.momentumScore ?? momentum.score)) || (momentum.score > (p.snapshot_metrics?.momentumScore ?? momentum.score)); if (!ok) return await invalidate(user, symbol, "CLOSE_REVERSAL_NOT_CONFIRMED"); }
 
-  let conf = baseConfidence(trend, momentum, tickerDaily); const liq = await getLiquidationFromRedis(symbol);
-  const liqAdj = applyLiquidationAdjustments(directionNow, conf, liq); conf = liqAdj.confidence; if (liqAdj.veto) return await invalidate(symbol, "CLOSE_LIQ_VETO");
-  if (conf < CONFIG.MIN_CONF_CONFIRMED) return await invalidate(symbol, "CLOSE_CONFIDENCE_LOW");
+  let conf = baseConfidence(trend, momentum, tickerDaily);
+  const tfAdj = applyTimeframeAdjustments(directionNow, conf, mtf.layers); conf = tfAdj.confidence;
+  const liq = await getLiquidationFromRedis(symbol);
+  const liqAdj = applyLiquidationAdjustments(directionNow, conf, liq); conf = liqAdj.confidence; if (liqAdj.veto) return await invalidate(user, symbol, "CLOSE_LIQ_VETO");
+  const fundAdj = applyFundingAdjustments(directionNow, conf, marketData); conf = fundAdj.confidence;
+  if (conf < CONFIG.MIN_CONF_CONFIRMED) return await invalidate(user, symbol, "CLOSE_CONFIDENCE_LOW");
 
-  const entry = Number(tickerDaily.lastPrice); if (!(entry > 0)) return await invalidate(symbol, "CLOSE_BAD_ENTRY");
+  const { entry, entrySource } = entryFromMarket(tickerDaily, marketData); if (!(entry > 0)) return await invalidate(user, symbol, "CLOSE_BAD_ENTRY");
 
-  const warnings = [...liqAdj.warnings];
-  if (marketData.nextFundingTime > 0) {
-    const nextFundingMs = Number(marketData.nextFundingTime); const lastFundingRate = Number(marketData.lastFundingRate);
-    if (Number.isFinite(nextFundingMs) && minutesTo(nextFundingMs) <= CONFIG.FUNDING_WARN_MINUTES && Math.abs(lastFundingRate) >= CONFIG.FUNDING_RATE_ABS_WARN) { warnings.push("FUNDING_SOON_HIGH_RATE"); }
-  }
+  const warnings = [...liqAdj.warnings, ...fundAdj.warnings];
+  if (mtf.missing.length) warnings.push("MTF_UNAVAILABLE");
 
   const tpsl = pickTpSlATR({ entry, atr: ind.atr, direction: directionNow, confidence: conf, momentumStrength: momentum.strength, isReversal: isReversalNow, liqIntensity: liq.intensityScore, bbWidthClass: ind.bbWidthClass });
-  if (!tpsl) return await invalidate(symbol, "CLOSE_ATR_UNAVAILABLE");
+  if (!tpsl) return await invalidate(user, symbol, "CLOSE_ATR_UNAVAILABLE");
 
   const rounded = roundSLTP(entry, tpsl.slPrice, tpsl.tpPrice, tickSize, directionNow);
+  const sized = sizePosition({ entry, slPrice: rounded.slPrice, direction: directionNow, tickSize, stepSize, ...p.sizing_inputs }); warnings.push(...sized.warnings);
+  const plan = buildExitPlan({ entry, slPrice: rounded.slPrice, atr: tpsl.atr, direction: directionNow, tickSize });
   const candleCloseTime = ind.lastCandleCloseTime; const sigId = makeConfirmedId(symbol, directionNow, candleCloseTime);
-  const deduped = await tryDedupeOrDrop(sigId); if (!deduped) return null;
-
-  const signal = { id: sigId, symbol, mode: "CONFIRMED", direction: directionNow, confidence: conf, entryRefPrice: entry, tpPrice: rounded.tpPrice, slPrice: rounded.slPrice, meta: { atr: tpsl.atr, slAtrMult: tpsl.slAtrMult, rr: tpsl.rr, tickSize }, reasons: [cand.reason, `TREND=${trend}`, `MOM=${momentum.strength}`, "CONFIRMED_ON_CLOSE", "ATR_TPSL", "TICK_ROUNDED"], warnings, timestamps: { created: p.created_ts, confirmed: nowMs() }, };
-  const cooldownUntil = nowMs() + CONFIG.COOLDOWN_CONFIRMED_MIN * 60_000;
-  await Promise.all([saveCooldown(symbol, cooldownUntil), clearPending(symbol), saveLastSignal(symbol, { ts: nowMs(), id: sigId, mode: "CONFIRMED" })]);
+  const deduped = await tryDedupeOrDrop(user, sigId); if (!deduped) return null;
+
+  const signal = { id: sigId, symbol, mode: "CONFIRMED", direction: directionNow, confidence: conf, entryRefPrice: entry, tpPrice: rounded.tpPrice, slPrice: rounded.slPrice, targets: plan.targets, stopRules: plan.stopRules, meta: { atr: tpsl.atr, slAtrMult: tpsl.slAtrMult, rr: tpsl.rr, tickSize, entrySource, fundingRate: marketData.lastFundingRate, nextFundingTime: marketData.nextFundingTime, timeframes: mtf.layers.map(({ interval, role, bias }) => ({ interval, role, bias })), strategies: cand.ensemble, profile: activeProfile, user }, sizing: sized.sizing, reasons: [cand.reason, `TREND=${trend}`, `MOM=${momentum.strength}`, ...tfAdj.reasons, "CONFIRMED_ON_CLOSE", "ATR_TPSL", "TICK_ROUNDED"], warnings, timestamps: { created: p.created_ts, confirmed: nowMs() }, };
+  // Cooldowns are read now: persistBatch runs after close mode has restored the request's profile.
+  const cooldownUntil = nowMs() + CONFIG.COOLDOWN_CONFIRMED_MIN * 60_000, suppressedUntil = nowMs() + CONFIG.COOLDOWN_INVALIDATED_MIN * 60_000;
+  // A confirmation suppressed by the exposure guard still consumes the preview (like an invalidation) but is not tracked.
+  audit.persist = async (suppressed) => {
+    if (suppressed) { await Promise.all([saveCooldown(user, symbol, suppressedUntil), clearPending(user, symbol), saveLastSignal(user, symbol, { ts: nowMs(), id: sigId, mode: "SUPPRESSED" })]); return; }
+    await Promise.all([saveCooldown(user, symbol, cooldownUntil), clearPending(user, symbol), saveLastSignal(user, symbol, { ts: nowMs(), id: sigId, mode: "CONFIRMED" })]);
+    try { await trackSignal(signal, "CONFIRMED", { fromTs: candleCloseTime, user }); } catch (redisErr) { signal.warnings.push("OUTCOME_TRACK_FAILED"); }
+  };
   return signal;
 }
 
-async function invalidate(symbol, reason) {
+async function invalidate(user, symbol, reason) {
   const cooldownUntil = nowMs() + CONFIG.COOLDOWN_INVALIDATED_MIN * 60_000; const invId = `INVALID|${symbol}|${floorTimeBucket(nowMs(), 60)}|${reason}`;
-  await Promise.all([saveCooldown(symbol, cooldownUntil), clearPending(symbol), saveLastSignal(symbol, { ts: nowMs(), id: invId, mode: "INVALIDATED", reason })]);
-  return { id: invId, symbol, mode: "INVALIDATED", direction: "NONE", confidence: 0, entryRefPrice: null, tpPrice: null, slPrice: null, meta: {}, reasons: [reason], warnings: [], timestamps: { created: nowMs() } };
+  await Promise.all([saveCooldown(user, symbol, cooldownUntil), clearPending(user, symbol), saveLastSignal(user, symbol, { ts: nowMs(), id: invId, mode: "INVALIDATED", reason })]);
+  return { id: invId, symbol, mode: "INVALIDATED", direction: "NONE", confidence: 0, entryRefPrice: null, tpPrice: null, slPrice: null, meta: { user, profile: activeProfile }, reasons: [reason], warnings: [], timestamps: { created: nowMs() } };
 }
 
-function buildSymbolMap(coinApiSymbols) {
-  const map = new Map();
-  for (const s of coinApiSymbols) {
-    // Use asset_id fields for robust matching
-    const base = s.asset_id_base || "";
-    const quote = s.asset_id_quote || "";
-    if (base && quote && s.symbol_type === "PERPETUAL") {
-      const shortName = `${base}${quote}`;
-      if (!map.has(shortName)) map.set(shortName, s);
+// --- Portfolio Exposure ---
+// Runs after every symbol of a batch has been evaluated; correlations use the 1h closes each evaluation already fetched.
+
+function hourlyReturns({ closeTime, close }, bars) {
+  let end = closeTime.length; while (end > 0 && closeTime[end - 1] > nowMs()) end--;
+  const out = new Map();
+  for (let i = Math.max(1, end - bars); i < end; i++) if (close[i] > 0 && close[i - 1] > 0) out.set(closeTime[i], Math.log(close[i] / close[i - 1]));
+  return out;
+}
+
+// Pearson correlation over the bars both series share; null when there is too little overlap or no variance.
+function returnCorrelation(a, b) {
+  const xs = [], ys = []; for (const [t, x] of a) if (b.has(t)) { xs.push(x); ys.push(b.get(t)); }
+  if (xs.length < CONFIG.CORR_MIN_BARS) return null;
+  const mx = xs.reduce((s, x) => s + x, 0) / xs.length, my = ys.reduce((s, y) => s + y, 0) / ys.length;
+  let sxy = 0, sxx = 0, syy = 0; xs.forEach((x, i) => { sxy += (x - mx) * (ys[i] - my); sxx += (x - mx) ** 2; syy += (ys[i] - my) ** 2; });
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+function signalRiskPct(sig) { return sig.sizing?.equity > 0 ? (sig.sizing.riskAmount / sig.sizing.equity) * 100 : CONFIG.RISK_PER_TRADE_PCT; }
+
+// Groups are connected components of the "correlated, same direction" graph. Signals over a group's cap stay in the
+// response with a CORRELATED_EXPOSURE_CAP warning and meta.exposure.suppressed = true, but persistBatch does not save,
+// track or notify them.
+function applyExposureGuard(signals, series) {
+  const live = signals.filter((s) => s && ["PREVIEW", "CONFIRMED"].includes(historyKind(s)) && (s.direction === "LONG" || s.direction === "SHORT")).sort((a, b) => b.confidence - a.confidence);
+  const returns = new Map(live.map((s) => [s.symbol, series.get(s.symbol) ? hourlyReturns(series.get(s.symbol), CONFIG.CORR_LOOKBACK_BARS) : new Map()]));
+  const parent = live.map((_, i) => i), find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const peers = live.map(() => []);
+  for (let i = 0; i < live.length; i++) for (let j = i + 1; j < live.length; j++) {
+    if (live[i].direction !== live[j].direction) continue;
+    const corr = returnCorrelation(returns.get(live[i].symbol), returns.get(live[j].symbol)); if (corr == null || corr < CONFIG.CORR_THRESHOLD) continue;
+    parent[find(j)] = find(i); peers[i].push({ symbol: live[j].symbol, corr: roundN(corr, 2) }); peers[j].push({ symbol: live[i].symbol, corr: roundN(corr, 2) });
+  }
+
+  const groups = new Map(), maxN = CONFIG.EXPOSURE_MAX_GROUP_SIGNALS, maxRisk = CONFIG.EXPOSURE_MAX_GROUP_RISK_PCT;
+  live.forEach((sig, i) => {
+    const root = find(i); if (!groups.has(root)) groups.set(root, { id: `${sig.direction}-${groups.size + 1}`, direction: sig.direction, symbols: [], accepted: [], suppressed: [], riskPct: 0 });
+    const g = groups.get(root), risk = signalRiskPct(sig); g.symbols.push(sig.symbol);
+    // The group's first (most confident) signal always passes; the caps only limit what stacks on top of it.
+    const over = g.accepted.length > 0 && ((maxN > 0 && g.accepted.length >= maxN) || (maxRisk > 0 && g.riskPct + risk > maxRisk + 1e-9));
+    if (over) { g.suppressed.push(sig.symbol); sig.warnings.push("CORRELATED_EXPOSURE_CAP"); } else { g.accepted.push(sig.symbol); g.riskPct += risk; }
+    sig.meta = { ...sig.meta, exposure: { group: g.id, correlatedWith: peers[i], riskPct: roundN(risk, 2), suppressed: over } };
+  });
+  const multi = [...groups.values()].filter((g) => g.symbols.length > 1).map((g) => ({ ...g, riskPct: roundN(g.riskPct, 2) }));
+  return { threshold: CONFIG.CORR_THRESHOLD, maxSignals: maxN, maxRiskPct: maxRisk, groups: multi, suppressed: multi.reduce((a, g) => a + g.suppressed.length, 0) };
+}
+
+// --- Backtest ---
+
+function roundN(x, d = 3) { return Number.isFinite(x) ? Number(x.toFixed(d)) : null; }
+
+function sliceCandles(c, from, to) {
+  return { open: c.open.slice(from, to), high: c.high.slice(from, to), low: c.low.slice(from, to), close: c.close.slice(from, to), volume: c.volume.slice(from, to), closeTime: c.closeTime.slice(from, to) };
+}
+
+// Stand-in for the live 24h ticker: change/high/low over the trailing `bars` hourly candles ending at i.
+function rollingTicker(c, i, bars) {
+  const from = Math.max(0, i - bars + 1); const open = c.open[from], last = c.close[i];
+  return { priceChangePercent: open > 0 ? ((last - open) / open) * 100 : 0, highPrice: Math.max(...c.high.slice(from, i + 1)), lowPrice: Math.min(...c.low.slice(from, i + 1)), lastPrice: last };
+}
+
+// Only layers above 1h can be rebuilt from the hourly history; lower "timing" layers are skipped.
+function backtestLayers(c, i) {
+  const layers = [];
+  for (const spec of CONFIG.MTF_LAYERS) {
+    const ms = INTERVAL_MS[spec.interval]; if (!(ms > HOUR_MS) || ms % HOUR_MS) continue;
+    const layer = buildLayer(spec, resampleCandles(c, Math.max(0, i + 1 - spec.limit * (ms / HOUR_MS)), i + 1, ms)); if (layer) layers.push(layer);
+  }
+  return layers;
+}
+
+function simulateSignalAt(c, i, tickSize) {
+  const win = sliceCandles(c, Math.max(0, i - CONFIG.KLINE_LIMIT + 1), i + 1); const ind = computeIndicatorsFromCandles(win);
+  if (ind.rsi == null || ind.macd == null || ind.bb == null || ind.atr == null) return null;
+  const tickerDaily = rollingTicker(c, i, CONFIG.BACKTEST_TICKER_BARS); const layers = backtestLayers(c, i);
+  const trend = classifyTrend(tickerDaily, ind, layers); const momentum = computeMomentum(ind); const cand = directionCandidate(win, trend, ind);
+  if (cand.dir === "NO_TRADE") return null;
+
+  let direction = cand.dir, isReversal = false;
+  if (cand.dir === "LONG_CANDIDATE") { direction = "LONG"; isReversal = true; } else if (cand.dir === "SHORT_CANDIDATE") { direction = "SHORT"; isReversal = true; }
+
+  const tfAdj = applyTimeframeAdjustments(direction, baseConfidence(trend, momentum, tickerDaily), layers);
+  const conf = tfAdj.confidence; if (conf < CONFIG.MIN_CONF_SHOW) return null;
+  const entry = ind.lastClose; if (!(entry > 0)) return null;
+  const tpsl = pickTpSlATR({ entry, atr: ind.atr, direction, confidence: conf, momentumStrength: momentum.strength, isReversal, liqIntensity: 0, bbWidthClass: ind.bbWidthClass });
+  if (!tpsl) return null;
+  const rounded = roundSLTP(entry, tpsl.slPrice, tpsl.tpPrice, tickSize, direction);
+  const plan = buildExitPlan({ entry, slPrice: rounded.slPrice, atr: tpsl.atr, direction, tickSize });
+  return { direction, confidence: conf, entry, tpPrice: rounded.tpPrice, slPrice: rounded.slPrice, targets: plan.targets, stopRules: plan.stopRules, tickSize, rr: tpsl.rr, slAtrMult: tpsl.slAtrMult, reason: cand.reason, trend, momentum: momentum.strength, timeframeReasons: tfAdj.reasons, votes: strategyVotes(cand.ensemble) };
+}
+
+function walkForward(c, i, sig, horizon) {
+  const isLong = sig.direction === "LONG"; const risk = Math.abs(sig.entry - sig.slPrice); if (!(risk > 0)) return null;
+  const last = Math.min(c.close.length - 1, i + horizon);
+  for (let j = i + 1; j <= last; j++) {
+    const hitSl = isLong ? c.low[j] <= sig.slPrice : c.high[j] >= sig.slPrice;
+    const hitTp = isLong ? c.high[j] >= sig.tpPrice : c.low[j] <= sig.tpPrice;
+    // An hourly bar spanning both levels cannot tell us which came first; count it as a stop.
+    if (hitSl) return { outcome: "SL", exitIndex: j, exitPrice: sig.slPrice, r: -1 };
+    if (hitTp) return { outcome: "TP", exitIndex: j, exitPrice: sig.tpPrice, r: Math.abs(sig.tpPrice - sig.entry) / risk };
+  }
+  if (last < i + horizon) return null;
+  const exitPrice = c.close[last];
+  return { outcome: "TIMEOUT", exitIndex: last, exitPrice, r: (isLong ? exitPrice - sig.entry : sig.entry - exitPrice) / risk };
+}
+
+// Follows an exit plan (targets + stopRules) bar by bar after index i. Inside a bar the stop is checked before
+// the targets, like walkForward; a trailing stop moves with the bar's extreme and only applies from the next bar.
+// `from` resumes a previously returned state (paper positions are walked incrementally).
+function walkLadder(c, i, plan, horizon, from = {}) {
+  const isLong = plan.direction === "LONG", sign = isLong ? 1 : -1, risk = Math.abs(plan.entry - plan.slPrice); if (!(risk > 0)) return null;
+  const rOf = (price) => (sign * (price - plan.entry)) / risk, rules = plan.stopRules || {};
+  let stop = from.stop ?? plan.slPrice, stopKind = from.stopKind ?? "SL", remaining = from.remainingPct ?? 100, realized = 0, trailing = !!from.trailing, extreme = from.extreme ?? null; const hits = [...(from.hits ?? [])];
+  const state = (extra) => ({ hits, stop, stopKind, remainingPct: remaining, realizedR: roundN(realized / 100), trailing, extreme, ...extra });
+  const last = Math.min(c.close.length - 1, i + horizon);
+  for (let j = i + 1; j <= last; j++) {
+    if (isLong ? c.low[j] <= stop : c.high[j] >= stop) { realized += remaining * rOf(stop); remaining = 0; return state({ done: true, exitReason: stopKind, exitIndex: j, exitPrice: stop }); }
+    for (const t of plan.targets) {
+      if (t.price == null || hits.some((h) => h.label === t.label)) continue;
+      if (!(isLong ? c.high[j] >= t.price : c.low[j] <= t.price)) break;
+      realized += t.closePct * rOf(t.price); remaining -= t.closePct; hits.push({ label: t.label, price: t.price, ts: c.closeTime[j] });
+      if (rules.breakevenAfter === t.label && (isLong ? rules.breakevenPrice > stop : rules.breakevenPrice < stop)) { stop = rules.breakevenPrice; stopKind = "BREAKEVEN"; }
+      if (rules.trailAfter === t.label) trailing = true;
+    }
+    if (remaining <= 1e-9) return state({ done: true, exitReason: "TARGETS", exitIndex: j, exitPrice: hits[hits.length - 1].price });
+    if (trailing) {
+      extreme = isLong ? Math.max(extreme ?? c.high[j], c.high[j]) : Math.min(extreme ?? c.low[j], c.low[j]);
+      const trail = roundToTick(extreme - sign * rules.trailDistance, plan.tickSize, isLong ? "down" : "up");
+      if (isLong ? trail > stop : trail < stop) { stop = trail; stopKind = "TRAIL"; }
+    }
+  }
+  if (last < i + horizon) return state({ done: false, exitIndex: last });
+  realized += remaining * rOf(c.close[last]); remaining = 0;
+  return state({ done: true, exitReason: "TIMEOUT", exitIndex: last, exitPrice: c.close[last] });
+}
+
+function confBucket(conf) {
+  let lo = 0;
+  for (const t of CONFIG.BACKTEST_CONF_BUCKETS) { if (conf < t) return `${lo}-${t}`; lo = t; }
+  return `${lo}+`;
+}
+
+function summarizeTrades(trades) {
+  const n = trades.length;
+  if (!n) return { trades: 0, tp: 0, sl: 0, timeout: 0, winRate: null, avgR: null, avgWinR: null, avgLossR: null, expectancy: null, totalR: 0, maxDrawdownR: 0 };
+  const wins = trades.filter((t) => t.r > 0), losses = trades.filter((t) => t.r <= 0);
+  let equity = 0, peak = 0, maxDd = 0;
+  for (const t of trades) { equity += t.r; peak = Math.max(peak, equity); maxDd = Math.max(maxDd, peak - equity); }
+  const winRate = wins.length / n;
+  const avgWinR = wins.length ? wins.reduce((a, t) => a + t.r, 0) / wins.length : 0;
+  const avgLossR = losses.length ? -losses.reduce((a, t) => a + t.r, 0) / losses.length : 0;
+  return {
+    trades: n, tp: trades.filter((t) => t.outcome === "TP").length, sl: trades.filter((t) => t.outcome === "SL").length, timeout: trades.filter((t) => t.outcome === "TIMEOUT").length,
+    winRate: roundN(winRate), avgR: roundN(equity / n), avgWinR: roundN(avgWinR), avgLossR: roundN(avgLossR),
+    expectancy: roundN(winRate * avgWinR - (1 - winRate) * avgLossR), totalR: roundN(equity), maxDrawdownR: roundN(maxDd),
+  };
+}
+
+function summarizeByConfidence(trades) {
+  const groups = {};
+  for (const t of trades) (groups[confBucket(t.confidence)] ||= []).push(t);
+  return Object.fromEntries(Object.entries(groups).sort((a, b) => parseInt(a[0]) - parseInt(b[0])).map(([k, v]) => [k, summarizeTrades(v)]));
+}
+
+// Per strategy: the trades that strategy voted for (same direction), whatever its weight was.
+function summarizeByStrategy(items, summarize) {
+  return Object.fromEntries(strategyNames().map((name) => [name, summarize(items.filter((t) => t.votes?.[name] === t.direction))]));
+}
+
+// exits=ladder replays the TP ladder / breakeven / trailing plan instead of the single TP.
+function ladderTrade(c, i, sig, horizon) {
+  const res = walkLadder(c, i, sig, horizon); if (!res?.done) return null;
+  return { outcome: res.hits.length ? "TP" : res.exitReason === "TIMEOUT" ? "TIMEOUT" : "SL", exitReason: res.exitReason, exitIndex: res.exitIndex, exitPrice: res.exitPrice, r: res.realizedR };
+}
+
+async function backtestSymbol({ symbol, symbolId, tickSize, candles, horizon, exits }) {
+  // The forming bar is dropped so it can be neither an entry bar nor a TIMEOUT exit.
+  const krows = await fetchKlines1h(symbolId, candles); const c = parseCandleRows(krows.filter((r) => r.closeTime <= nowMs()));
+  if (c.close.length < CONFIG.BACKTEST_WARMUP_BARS + horizon) return { symbol, error: `INSUFFICIENT_DATA_${c.close.length}_candles` };
+
+  const trades = []; let unresolved = 0;
+  for (let i = CONFIG.BACKTEST_WARMUP_BARS; i < c.close.length - 1;) {
+    const sig = simulateSignalAt(c, i, tickSize); if (!sig) { i++; continue; }
+    const res = exits === "ladder" ? ladderTrade(c, i, sig, horizon) : walkForward(c, i, sig, horizon); if (!res) { unresolved++; break; }
+    trades.push({ symbol, direction: sig.direction, confidence: sig.confidence, reason: sig.reason, timeframeReasons: sig.timeframeReasons, trend: sig.trend, momentum: sig.momentum, votes: sig.votes, rr: sig.rr, entry: sig.entry, tpPrice: sig.tpPrice, slPrice: sig.slPrice, entryTime: c.closeTime[i], exitTime: c.closeTime[res.exitIndex], barsHeld: res.exitIndex - i, outcome: res.outcome, ...(res.exitReason ? { exitReason: res.exitReason } : {}), exitPrice: res.exitPrice, r: roundN(res.r) });
+    // One position at a time per symbol, like the live cooldown/pending flow.
+    i = res.exitIndex + 1;
+  }
+  return { symbol, from: c.closeTime[0], to: c.closeTime[c.closeTime.length - 1], candles: c.close.length, unresolved, trades };
+}
+
+async function runBacktest({ event, watchlist, symbolMap, t0 }) {
+  const qs = event.queryStringParameters || {};
+  const requested = clamp(Number(qs.candles) || CONFIG.BACKTEST_DEFAULT_CANDLES, CONFIG.BACKTEST_WARMUP_BARS + 1, CONFIG.BACKTEST_MAX_CANDLES);
+  const candles = Math.min(requested, getProvider().maxKlines ?? Infinity);
+  const horizon = clamp(Number(qs.horizon) || CONFIG.BACKTEST_HORIZON_BARS, 1, candles);
+  const withTrades = qs.trades === "1" || qs.trades === "true";
+  const exits = qs.exits === "ladder" ? "ladder" : "single";
+  const targets = qs.symbol ? watchlist.filter((s) => s === String(qs.symbol).toUpperCase()) : watchlist;
+  if (!targets.length) return json(400, { ok: false, error: "Invalid symbol" });
+
+  const results = await Promise.all(targets.map(async (shortSymbol) => {
+    try {
+      const symData = symbolMap.get(shortSymbol);
+      if (!symData) return { symbol: shortSymbol, error: `Symbol not found in ${getProvider().name}` };
+      return await backtestSymbol({ symbol: shortSymbol, symbolId: symData.symbolId, tickSize: symData.tickSize, candles, horizon, exits });
+    } catch (err) {
+      return { symbol: shortSymbol, error: String(err?.message || err) };
+    }
+  }));
+
+  const ok = results.filter((r) => !r.error);
+  const allTrades = ok.flatMap((r) => r.trades).sort((a, b) => a.entryTime - b.entryTime);
+  const symbols = ok.map((r) => ({ symbol: r.symbol, from: r.from, to: r.to, candles: r.candles, unresolved: r.unresolved, summary: summarizeTrades(r.trades), byConfidence: summarizeByConfidence(r.trades), ...(withTrades ? { trades: r.trades } : {}) }));
+  return json(200, {
+    ok: true, mode: "backtest", provider: getProvider().name, profile: activeProfile, watchlist: targets, candles, horizonBars: horizon, exits,
+    ...(candles < requested ? { requestedCandles: requested, warnings: ["CANDLES_CAPPED_BY_PROVIDER"] } : {}),
+    assumptions: ["ENTRY_AT_1H_CLOSE", "TICKER_FROM_ROLLING_24H", "NO_LIQUIDATION_DATA", "SAME_BAR_TP_SL_COUNTS_AS_SL", "ONE_POSITION_PER_SYMBOL", "HTF_FROM_RESAMPLED_1H", "NO_LTF_LAYERS", ...(exits === "ladder" ? ["LADDER_TP_R_IS_WEIGHTED_PARTIALS"] : [])],
+    summary: summarizeTrades(allTrades), byConfidence: summarizeByConfidence(allTrades), byStrategy: summarizeByStrategy(allTrades, summarizeTrades), symbols,
+    errors: results.filter((r) => r.error).map((r) => ({ symbol: r.symbol, error: r.error })), quota: await quotaReport(), ms: nowMs() - t0,
+  });
+}
+
+// --- Outcome Tracking ---
+// CONFIRMED signals (and previews a user chose to watch) are resolved against the same 1h candles
+// the engine fetches: the first bar after `fromTs` that touches TP or SL decides, else EXPIRED.
+
+// CONFIRMED records describe the market and are shared (bot stats); WATCH records belong to the user who pressed watch.
+// Confirmation is per user (each with its own profile and sizing), so both record kinds carry the user in their id.
+function outcomeId(source, user, signalId) { return source === "WATCH" ? `WATCH|${user}|${signalId}` : user ? `${signalId}|${user}` : signalId; }
+
+async function trackSignal(signal, source, { fromTs = signal.timestamps?.created ?? nowMs(), user = null } = {}) {
+  const rec = {
+    id: outcomeId(source, user, signal.id), signalId: signal.id, source, user, symbol: signal.symbol, direction: signal.direction, confidence: signal.confidence,
+    reason: signal.reasons?.[0] ?? null, reasons: signal.reasons ?? [], entry: signal.entryRefPrice, tpPrice: signal.tpPrice, slPrice: signal.slPrice, rr: signal.meta?.rr ?? null,
+    targets: signal.targets ?? null, stopRules: signal.stopRules ?? null, tickSize: signal.meta?.tickSize ?? null, sizing: signal.sizing ?? null, stage: "ENTRY", hits: [], currentStop: signal.slPrice, stopKind: "SL", remainingPct: 100, realizedR: 0,
+    profile: signal.meta?.profile ?? "default", votes: signal.meta?.strategies ? strategyVotes(signal.meta.strategies) : null, trackedTs: nowMs(), fromTs, status: "OPEN", lastPrice: signal.entryRefPrice, lastTs: nowMs(), exitPrice: null, exitTs: null, r: null, holdMs: null,
+  };
+  await Promise.all([redis.set(kOutcome(rec.id), rec, { ex: CONFIG.TTL_OUTCOME_SEC }), redis.zadd(kOutcomeOpen(rec.symbol), { score: rec.trackedTs, member: rec.id }), redis.sadd(kOutcomeSymbols(), rec.symbol)]);
+  return rec;
+}
+
+function resolveOutcome(rec, c) {
+  // Bars that opened at or after fromTs; i is the index just before the first of them.
+  const first = c.closeTime.findIndex((t) => t - HOUR_MS >= rec.fromTs);
+  if (first < 0) return null;
+  if (rec.targets?.length) return resolveLadderOutcome(rec, c, first);
+  const res = walkForward(c, first - 1, { direction: rec.direction, entry: rec.entry, tpPrice: rec.tpPrice, slPrice: rec.slPrice }, CONFIG.OUTCOME_EXPIRY_BARS);
+  if (!res) return { ...rec, lastPrice: c.close[c.close.length - 1], lastTs: c.closeTime[c.closeTime.length - 1] };
+  const exitTs = c.closeTime[res.exitIndex];
+  return { ...rec, status: res.outcome === "TIMEOUT" ? "EXPIRED" : res.outcome, exitPrice: res.exitPrice, exitTs, lastPrice: res.exitPrice, lastTs: exitTs, r: roundN(res.r), holdMs: exitTs - rec.fromTs };
+}
+
+// Ladder records: TP once any target filled (r = weighted partial closes), SL if stopped before TP1, else EXPIRED.
+function resolveLadderOutcome(rec, c, first) {
+  const res = walkLadder(c, first - 1, rec, CONFIG.OUTCOME_EXPIRY_BARS); if (!res) return null;
+  const progress = { stage: res.hits.length ? res.hits[res.hits.length - 1].label : "ENTRY", hits: res.hits, currentStop: res.stop, stopKind: res.stopKind, remainingPct: res.remainingPct, realizedR: res.realizedR };
+  if (!res.done) return { ...rec, ...progress, lastPrice: c.close[res.exitIndex], lastTs: c.closeTime[res.exitIndex] };
+  const exitTs = c.closeTime[res.exitIndex], status = res.hits.length ? "TP" : res.exitReason === "TIMEOUT" ? "EXPIRED" : "SL";
+  return { ...rec, ...progress, status, exitReason: res.exitReason, exitPrice: res.exitPrice, exitTs, lastPrice: res.exitPrice, lastTs: exitTs, r: res.realizedR, holdMs: exitTs - rec.fromTs };
+}
+
+// The evaluated candles may start after a record's entry when the symbol went unevaluated for a long time; walking
+// them would skip the bars in between, so such records get a longer fetch or, past OUTCOME_MAX_FETCH_BARS, expire.
+function startsAfter(c, rec) { return !c.closeTime.length || c.closeTime[0] - HOUR_MS > rec.fromTs; }
+
+async function resolveOutcomes(symbol, symbolId, c) {
+  const ids = await redis.zrange(kOutcomeOpen(symbol), 0, -1); if (!ids.length) return [];
+  const recs = await redis.mget(...ids.map(kOutcome));
+  const oldest = Math.min(...recs.filter((r) => r && startsAfter(c, r)).map((r) => r.fromTs));
+  let older = null;
+  if (Number.isFinite(oldest)) {
+    const bars = Math.min(Math.ceil((nowMs() - oldest) / HOUR_MS) + 2, CONFIG.OUTCOME_MAX_FETCH_BARS, getProvider().maxKlines ?? Infinity);
+    older = parseCandleRows((await fetchKlines1h(symbolId, bars)).filter((r) => r.closeTime <= nowMs()));
+  }
+  const closed = [];
+  await Promise.all(ids.map(async (id, i) => {
+    const rec = recs[i]; if (!rec) { await redis.zrem(kOutcomeOpen(symbol), id); return; }
+    const bars = startsAfter(c, rec) ? older : c;
+    const next = startsAfter(bars, rec) ? { ...rec, status: "EXPIRED", exitReason: "HISTORY_GAP", exitPrice: null, exitTs: nowMs(), r: null, holdMs: nowMs() - rec.fromTs } : resolveOutcome(rec, bars); if (!next) return;
+    await redis.set(kOutcome(id), next, { ex: CONFIG.TTL_OUTCOME_SEC });
+    if (next.status === "OPEN") return;
+    await Promise.all([redis.zrem(kOutcomeOpen(symbol), id), redis.zadd(kOutcomeClosed(), { score: next.exitTs, member: id })]);
+    closed.push(next);
+  }));
+  return closed;
+}
+
+async function userRemoveWatch(user, id) {
+  const rec = await redis.get(kOutcome(id)); if (!rec || (rec.source === "WATCH" && rec.user !== user)) return { ok: false, reason: "NOT_FOUND" };
+  if (rec.source !== "WATCH") return { ok: false, reason: "NOT_WATCHED" };
+  await Promise.all([redis.del(kOutcome(id)), redis.zrem(kOutcomeOpen(rec.symbol), id), redis.zrem(kOutcomeClosed(), id)]);
+  return { ok: true };
+}
+
+function summarizeOutcomes(recs) {
+  const n = recs.length; const tp = recs.filter((r) => r.status === "TP").length;
+  const totalR = recs.reduce((a, r) => a + (r.r ?? 0), 0), totalHold = recs.reduce((a, r) => a + (r.holdMs ?? 0), 0);
+  return { count: n, tp, sl: recs.filter((r) => r.status === "SL").length, expired: recs.filter((r) => r.status === "EXPIRED").length, hitRate: n ? roundN(tp / n) : null, avgR: n ? roundN(totalR / n) : null, totalR: roundN(totalR), avgHoldMin: n ? Math.round(totalHold / n / 60_000) : null };
+}
+
+function groupOutcomes(recs, keyFn) {
+  const groups = {};
+  for (const r of recs) (groups[keyFn(r)] ||= []).push(r);
+  return Object.fromEntries(Object.entries(groups).map(([k, v]) => [k, summarizeOutcomes(v)]));
+}
+
+async function runStats({ event, watchlist, user, t0 }) {
+  const qs = event.queryStringParameters || {};
+  const days = clamp(Number(qs.days) || CONFIG.STATS_DEFAULT_DAYS, 1, CONFIG.STATS_MAX_DAYS);
+  const closedIds = await redis.zrange(kOutcomeClosed(), nowMs() - days * 86400_000, nowMs(), { byScore: true });
+  // Scanned symbols can be tracked too, so open records are collected from every symbol ever tracked.
+  const symbols = [...new Set([...watchlist, ...(await redis.smembers(kOutcomeSymbols()))])];
+  const openIds = (await Promise.all(symbols.map((s) => redis.zrange(kOutcomeOpen(s), 0, -1)))).flat();
+  const [closedRecs, openRecs] = await Promise.all([closedIds.length ? redis.mget(...closedIds.map(kOutcome)) : [], openIds.length ? redis.mget(...openIds.map(kOutcome)) : []]);
+  const visible = (r) => r && (r.source !== "WATCH" || r.user === user);
+  const closed = closedRecs.filter(visible), open = openRecs.filter(visible).sort((a, b) => b.trackedTs - a.trackedTs);
+  // Watched previews are shown but kept out of the bot's own performance numbers.
+  const confirmed = closed.filter((r) => r.source === "CONFIRMED");
+  return json(200, {
+    ok: true, mode: "stats", days,
+    summary: summarizeOutcomes(confirmed), bySymbol: groupOutcomes(confirmed, (r) => r.symbol), byReason: groupOutcomes(confirmed, (r) => r.reason || "UNKNOWN"), byConfidence: groupOutcomes(confirmed, (r) => confBucket(r.confidence)), byProfile: groupOutcomes(confirmed, (r) => r.profile || "default"), byStrategy: summarizeByStrategy(confirmed, summarizeOutcomes),
+    open, recent: closed.sort((a, b) => b.exitTs - a.exitTs).slice(0, CONFIG.STATS_RECENT_LIMIT), ms: nowMs() - t0,
+  });
+}
+
+// --- Signal History (storage, indexes and mode=history live in netlify/lib/history.js) ---
+
+function indicatorSnapshot(ind) {
+  return {
+    rsi: ind.rsi, macd: ind.macd?.MACD ?? null, macdSignal: ind.macd?.signal ?? null, macdHist: ind.macd?.histogram ?? null,
+    bbUpper: ind.bb?.upper ?? null, bbMiddle: ind.bb?.middle ?? null, bbLower: ind.bb?.lower ?? null, bbWidthClass: ind.bbWidthClass,
+    atr: ind.atr, volumeRatio: ind.volumeRatio, lastClose: ind.lastClose, lastCandleCloseTime: ind.lastCandleCloseTime,
+  };
+}
+
+// --- Paper Trading (accounts, fills and locking live in netlify/lib/paper.js) ---
+
+function getPaper() {
+  if (!paper) paper = createPaperTrading({
+    redis, json, accountRe: PROFILE_NAME_RE, symbolRe: SYMBOL_RE,
+    market: {
+      symbolMap: async () => buildSymbolMap(await fetchSymbols()), klines1h: (symbolId) => fetchKlines1h(symbolId, CONFIG.KLINE_LIMIT), findSignal: findPaperSignal,
+      marketPrice: async (symbol, symbolId) => { const [tickerDaily, marketData] = await Promise.all([fetchTickerDaily(symbolId), fetchMarketData(symbol, symbolId)]); return entryFromMarket(tickerDaily, marketData).entry; },
+      sizePosition, walkLadder, parseCandleRows, roundToTick,
+    },
+  });
+  return paper;
+}
+
+async function findPaperSignal(user, symbol, signalId) {
+  const st = await getState(user, symbol); const p = st.pending_confirm;
+  if (p?.signal && (!signalId || p.signal.id === signalId)) return p.signal;
+  const recs = signalId ? await redis.mget(kOutcome(outcomeId("CONFIRMED", user, signalId)), kOutcome(outcomeId("WATCH", user, signalId))) : [];
+  const rec = recs.find((r) => r && r.symbol === symbol); if (!rec) return null;
+  return { id: rec.signalId, symbol: rec.symbol, direction: rec.direction, entryRefPrice: rec.entry, tpPrice: rec.tpPrice, slPrice: rec.slPrice, targets: rec.targets, stopRules: rec.stopRules, meta: { tickSize: rec.tickSize } };
+}
+
+// --- Strategy Profiles ---
+// Named override sets stored in Redis. Only keys listed in PROFILE_SCHEMA may be overridden.
+
+const PROFILE_SCHEMA = {
+  MIN_CONF_SHOW: { min: 0, max: 100 }, MIN_CONF_CONFIRMED: { min: 0, max: 100 },
+  COOLDOWN_CONFIRMED_MIN: { min: 0, max: 1440, int: true }, COOLDOWN_INVALIDATED_MIN: { min: 0, max: 1440, int: true },
+  ATR_PERIOD: { min: 5, max: 50, int: true }, SL_ATR_MULT_LOW: { min: 0.5, max: 10 }, SL_ATR_MULT_HIGH: { min: 0.5, max: 10 },
+  RR_BASE: { min: 0.5, max: 10 }, RR_HIGH: { min: 0.5, max: 10 }, MIN_SL_BPS: { min: 1, max: 1000 }, MIN_TP_BPS: { min: 1, max: 2000 },
+  LIQ_THR_HIGH: { min: 0, max: 10 }, LIQ_THR_MED: { min: 0, max: 10 }, LIQ_THR_LOW: { min: 0, max: 10 },
+  LIQ_PENALTY_HIGH: { min: 0, max: 50 }, LIQ_PENALTY_MED: { min: 0, max: 50 }, LIQ_PENALTY_LOW: { min: 0, max: 50 }, LIQ_BONUS_ALIGN: { min: 0, max: 50 },
+  FUNDING_WARN_MINUTES: { min: 0, max: 480, int: true }, FUNDING_RATE_ABS_WARN: { min: 0, max: 0.01 }, FUNDING_PENALTY_AGAINST: { min: 0, max: 50 },
+  KLINE_LIMIT: { min: 60, max: 1000, int: true }, TREND_UP_PCT: { min: 0, max: 50 }, TREND_DN_PCT: { min: -50, max: 0 },
+  HTF_BONUS_ALIGNED: { min: 0, max: 50 }, HTF_PENALTY_CONFLICT: { min: 0, max: 50 }, LTF_BONUS_ALIGNED: { min: 0, max: 50 }, LTF_PENALTY_AGAINST: { min: 0, max: 50 },
+  ACCOUNT_EQUITY: { min: 1, max: 1e9 }, RISK_PER_TRADE_PCT: { min: 0.01, max: 10 }, MAX_LEVERAGE: { min: 1, max: 125, int: true },
+  BREAKEVEN_AFTER_TP: { min: 0, max: 4, int: true }, TRAIL_AFTER_TP: { min: 0, max: 4, int: true }, TRAIL_ATR_MULT: { min: 0.2, max: 10 },
+  ENSEMBLE_MIN_SCORE: { min: 0, max: 1 }, EMA_FAST: { min: 2, max: 100, int: true }, EMA_SLOW: { min: 3, max: 200, int: true }, EMA_FULL_SPREAD_PCT: { min: 0.01, max: 10 },
+  SUPERTREND_PERIOD: { min: 5, max: 50, int: true }, SUPERTREND_MULT: { min: 0.5, max: 10 }, VWAP_BARS: { min: 5, max: 200, int: true }, VWAP_Z_THRESHOLD: { min: 0.5, max: 5 },
+  CORR_LOOKBACK_BARS: { min: 12, max: 500, int: true }, CORR_THRESHOLD: { min: 0, max: 1 }, EXPOSURE_MAX_GROUP_SIGNALS: { min: 0, max: 50, int: true }, EXPOSURE_MAX_GROUP_RISK_PCT: { min: 0, max: 100 },
+};
+
+// Per-request sizing inputs (?equity=&risk=&leverage=) layered over the active profile.
+const SIZING_PARAMS = { equity: "ACCOUNT_EQUITY", risk: "RISK_PER_TRADE_PCT", leverage: "MAX_LEVERAGE" };
+
+// Served when Redis has no entry under the same name; a PUT with that name replaces them.
+const PROFILE_PRESETS = {
+  conservative: { description: "Wider stops, higher R/R, strict HTF filter", overrides: { MIN_CONF_CONFIRMED: 68, COOLDOWN_CONFIRMED_MIN: 60, SL_ATR_MULT_LOW: 2.5, SL_ATR_MULT_HIGH: 3.5, RR_BASE: 2.0, RR_HIGH: 2.5, HTF_PENALTY_CONFLICT: 15 } },
+  ensemble: { description: "All strategies vote; trend followers outweigh VWAP mean reversion", overrides: { STRATEGY_WEIGHTS: { rsi_macd: 1, ema_cross: 1, supertrend: 1, vwap_dev: 0.5 }, ENSEMBLE_MIN_SCORE: 0.35 } },
+  scalp: { description: "Tight stops, quick targets, 15m timing only", overrides: { COOLDOWN_CONFIRMED_MIN: 10, COOLDOWN_INVALIDATED_MIN: 5, SL_ATR_MULT_LOW: 1.2, SL_ATR_MULT_HIGH: 2.0, RR_BASE: 1.2, RR_HIGH: 1.6, MIN_SL_BPS: 8, MIN_TP_BPS: 10, MTF_LAYERS: [{ interval: "15m", role: "timing", weight: 1, limit: 120 }] } },
+};
+
+const PROFILE_NAME_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+function validateLayers(layers) {
+  if (!Array.isArray(layers) || layers.length > 4) return ["MTF_LAYERS must be an array of at most 4 layers"];
+  const errors = [];
+  layers.forEach((l, i) => {
+    if (!l || typeof l !== "object") { errors.push(`MTF_LAYERS[${i}] must be an object`); return; }
+    if (!INTERVAL_MS[l.interval] || l.interval === "1h") errors.push(`MTF_LAYERS[${i}].interval must be one of ${Object.keys(INTERVAL_MS).filter((k) => k !== "1h").join(", ")}`);
+    if (l.role !== "trend" && l.role !== "timing") errors.push(`MTF_LAYERS[${i}].role must be trend or timing`);
+    if (!(typeof l.weight === "number" && l.weight >= 0 && l.weight <= 5)) errors.push(`MTF_LAYERS[${i}].weight must be between 0 and 5`);
+    if (!(Number.isInteger(l.limit) && l.limit >= 40 && l.limit <= 500)) errors.push(`MTF_LAYERS[${i}].limit must be an integer between 40 and 500`);
+  });
+  return errors;
+}
+
+function validateTiers(tiers) {
+  if (!Array.isArray(tiers) || !tiers.length || tiers.length > 20) return ["MAINT_MARGIN_TIERS must be a non-empty array of at most 20 brackets"];
+  const errors = [];
+  tiers.forEach((t, i) => {
+    if (!(t && t.maxNotional > 0)) errors.push(`MAINT_MARGIN_TIERS[${i}].maxNotional must be positive`);
+    if (!(t && t.mmr > 0 && t.mmr < 0.5)) errors.push(`MAINT_MARGIN_TIERS[${i}].mmr must be between 0 and 0.5`);
+    if (i > 0 && t && tiers[i - 1] && !(t.maxNotional > tiers[i - 1].maxNotional && t.mmr >= tiers[i - 1].mmr)) errors.push(`MAINT_MARGIN_TIERS[${i}] must raise maxNotional and not lower mmr`);
+  });
+  return errors;
+}
+
+function applySizingParams(qs) {
+  const overrides = {};
+  for (const [param, key] of Object.entries(SIZING_PARAMS)) if (qs[param] != null && qs[param] !== "") overrides[key] = Number(qs[param]);
+  const errors = validateOverrides(overrides);
+  if (!errors.length) CONFIG = { ...CONFIG, ...overrides };
+  return errors;
+}
+
+// STRATEGY_WEIGHTS is merged key by key so a profile only lists the strategies it changes.
+function withOverrides(overrides = {}) {
+  return { ...BASE_CONFIG, ...overrides, STRATEGY_WEIGHTS: { ...BASE_CONFIG.STRATEGY_WEIGHTS, ...overrides.STRATEGY_WEIGHTS } };
+}
+
+function validateLadder(ladder) {
+  if (!Array.isArray(ladder) || ladder.length < 1 || ladder.length > 4) return ["TP_LADDER must be an array of 1-4 targets"];
+  const errors = [];
+  ladder.forEach((t, i) => {
+    if (!t || typeof t.r !== "number" || !(t.r > 0 && t.r <= 20)) errors.push(`TP_LADDER[${i}].r must be a number in (0, 20]`);
+    else if (i > 0 && !(t.r > ladder[i - 1].r)) errors.push(`TP_LADDER[${i}].r must be above the previous target`);
+    if (!t || typeof t.closePct !== "number" || !(t.closePct > 0 && t.closePct <= 100)) errors.push(`TP_LADDER[${i}].closePct must be a number in (0, 100]`);
+  });
+  if (!errors.length && ladder.reduce((a, t) => a + t.closePct, 0) > 100) errors.push("TP_LADDER closePct values must not add up to more than 100");
+  return errors;
+}
+
+function validateWeights(weights) {
+  if (!weights || typeof weights !== "object" || Array.isArray(weights)) return ["STRATEGY_WEIGHTS must be an object of strategy -> weight"];
+  const errors = [];
+  for (const [name, w] of Object.entries(weights)) {
+    if (!strategyNames().includes(name)) errors.push(`STRATEGY_WEIGHTS.${name}: unknown strategy (expected ${strategyNames().join(", ")})`);
+    else if (typeof w !== "number" || !(w >= 0 && w <= 10)) errors.push(`STRATEGY_WEIGHTS.${name} must be a number between 0 and 10`);
+  }
+  if (!errors.length && !Object.values({ ...BASE_CONFIG.STRATEGY_WEIGHTS, ...weights }).some((w) => w > 0)) errors.push("STRATEGY_WEIGHTS needs at least one positive weight");
+  return errors;
+}
+
+function validateOverrides(overrides) {
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) return ["overrides must be an object"];
+  const errors = [];
+  for (const [k, v] of Object.entries(overrides)) {
+    if (k === "MTF_LAYERS") { errors.push(...validateLayers(v)); continue; }
+    if (k === "MAINT_MARGIN_TIERS") { errors.push(...validateTiers(v)); continue; }
+    if (k === "STRATEGY_WEIGHTS") { errors.push(...validateWeights(v)); continue; }
+    if (k === "TP_LADDER") { errors.push(...validateLadder(v)); continue; }
+    const rule = PROFILE_SCHEMA[k]; if (!rule) { errors.push(`${k} is not editable`); continue; }
+    if (typeof v !== "number" || !Number.isFinite(v)) errors.push(`${k} must be a number`);
+    else if (v < rule.min || v > rule.max) errors.push(`${k} must be between ${rule.min} and ${rule.max}`);
+    else if (rule.int && !Number.isInteger(v)) errors.push(`${k} must be an integer`);
+  }
+  if (errors.length) return errors;
+  const m = withOverrides(overrides);
+  if (m.SL_ATR_MULT_LOW > m.SL_ATR_MULT_HIGH) errors.push("SL_ATR_MULT_LOW must not exceed SL_ATR_MULT_HIGH");
+  if (m.RR_BASE > m.RR_HIGH) errors.push("RR_BASE must not exceed RR_HIGH");
+  if (!(m.LIQ_THR_LOW <= m.LIQ_THR_MED && m.LIQ_THR_MED <= m.LIQ_THR_HIGH)) errors.push("LIQ_THR_LOW <= LIQ_THR_MED <= LIQ_THR_HIGH is required");
+  if (m.EMA_FAST >= m.EMA_SLOW) errors.push("EMA_FAST must be below EMA_SLOW");
+  if (m.BREAKEVEN_AFTER_TP > m.TP_LADDER.length || m.TRAIL_AFTER_TP > m.TP_LADDER.length) errors.push("BREAKEVEN_AFTER_TP and TRAIL_AFTER_TP must point at a TP_LADDER step");
+  if (m.KLINE_LIMIT < m.ATR_PERIOD + 40) errors.push("KLINE_LIMIT must leave room for ATR_PERIOD + MACD warmup");
+  if (m.CORR_LOOKBACK_BARS >= m.KLINE_LIMIT) errors.push("CORR_LOOKBACK_BARS must be below KLINE_LIMIT");
+  return errors;
+}
+
+async function getProfile(name) {
+  if (name === "default") return { name, description: "Built-in defaults", overrides: {}, builtin: true };
+  const stored = await redis.get(kProfile(name));
+  if (stored) return stored;
+  if (PROFILE_PRESETS[name]) return { name, ...PROFILE_PRESETS[name], builtin: true };
+  return null;
+}
+
+async function activateProfile(name) {
+  const profile = await getProfile(name); if (!profile) return false;
+  CONFIG = withOverrides(profile.overrides); activeProfile = name; return true;
+}
+
+async function handleProfiles(event, t0) {
+  const name = String(event.queryStringParameters?.name || "").toLowerCase();
+  const method = event.httpMethod || "GET";
+
+  if (method === "GET" && !name) {
+    const stored = await redis.smembers(kProfiles());
+    const names = [...new Set(["default", ...Object.keys(PROFILE_PRESETS), ...stored])];
+    const profiles = (await Promise.all(names.map(getProfile))).filter(Boolean);
+    return json(200, { ok: true, mode: "profiles", schema: PROFILE_SCHEMA, profiles, ms: nowMs() - t0 });
+  }
+
+  if (!PROFILE_NAME_RE.test(name)) return json(400, { ok: false, error: "Invalid profile name" });
+
+  if (method === "GET") {
+    const profile = await getProfile(name); if (!profile) return json(404, { ok: false, error: `Unknown profile "${name}"` });
+    const effective = withOverrides(profile.overrides);
+    return json(200, { ok: true, mode: "profiles", profile, effective: Object.fromEntries(Object.keys(PROFILE_SCHEMA).concat("MTF_LAYERS", "MAINT_MARGIN_TIERS", "STRATEGY_WEIGHTS", "TP_LADDER").map((k) => [k, effective[k]])), ms: nowMs() - t0 });
+  }
+
+  if (method === "PUT") {
+    if (name === "default") return json(400, { ok: false, error: "The default profile is read-only" });
+    let body; try { body = event.body ? JSON.parse(event.body) : {}; } catch { return json(400, { ok: false, error: "Invalid JSON body" }); }
+    const errors = validateOverrides(body.overrides);
+    if (errors.length) return json(400, { ok: false, error: "Profile validation failed", errors });
+    const profile = { name, description: String(body.description || "").slice(0, 200), overrides: body.overrides, updatedTs: nowMs() };
+    await Promise.all([redis.set(kProfile(name), profile), redis.sadd(kProfiles(), name)]);
+    return json(200, { ok: true, mode: "profiles", profile, ms: nowMs() - t0 });
+  }
+
+  if (method === "DELETE") {
+    await Promise.all([redis.del(kProfile(name)), redis.srem(kProfiles(), name)]);
+    return json(200, { ok: true, mode: "profiles", deleted: name, ms: nowMs() - t0 });
+  }
+
+  return json(405, { ok: false, error: `Method ${method} not allowed` });
+}
+
+// --- Watchlists & Scanner ---
+// Watchlists are stored in Redis and selected with ?watchlist=<name>; "default" falls back to the WATCHLIST env.
+// mode=scan ranks the provider's whole perpetual universe and runs the intrabar engine on the top N.
+
+const SYMBOL_RE = /^[A-Z0-9]{2,30}$/;
+
+async function resolveWatchlist(name) {
+  const stored = await redis.get(kWatchlist(name)).catch(() => null);
+  if (stored) return stored.symbols;
+  return name === "default" ? parseWatchlist() : null;
+}
+
+async function handleWatchlists(event, t0) {
+  const name = String(event.queryStringParameters?.name || "").toLowerCase();
+  const method = event.httpMethod || "GET";
+
+  if (method === "GET" && !name) {
+    const names = await redis.smembers(kWatchlists());
+    const stored = names.length ? (await redis.mget(...names.map(kWatchlist))).filter(Boolean) : [];
+    const watchlists = stored.some((w) => w.name === "default") ? stored : [{ name: "default", symbols: parseWatchlist(), source: "env" }, ...stored];
+    return json(200, { ok: true, mode: "watchlists", watchlists, ms: nowMs() - t0 });
+  }
+
+  if (!PROFILE_NAME_RE.test(name)) return json(400, { ok: false, error: "Invalid watchlist name" });
+
+  if (method === "GET") {
+    const symbols = await resolveWatchlist(name); if (!symbols) return json(404, { ok: false, error: `Unknown watchlist "${name}"` });
+    return json(200, { ok: true, mode: "watchlists", watchlist: { name, symbols }, ms: nowMs() - t0 });
+  }
+
+  if (method === "PUT") {
+    let body; try { body = event.body ? JSON.parse(event.body) : {}; } catch { return json(400, { ok: false, error: "Invalid JSON body" }); }
+    if (!Array.isArray(body.symbols) || !body.symbols.length) return json(400, { ok: false, error: "Watchlist validation failed", errors: ["symbols: expected a non-empty array"] });
+    const symbols = [...new Set(body.symbols.map((x) => String(x).trim().toUpperCase()))];
+    const errors = [];
+    if (symbols.length > CONFIG.WATCHLIST_MAX_SYMBOLS) errors.push(`symbols: at most ${CONFIG.WATCHLIST_MAX_SYMBOLS} allowed`);
+    const malformed = symbols.filter((x) => !SYMBOL_RE.test(x)); if (malformed.length) errors.push(`symbols: malformed ${malformed.join(", ")}`);
+    if (!errors.length) {
+      const symbolMap = buildSymbolMap(await fetchSymbols());
+      const unknown = symbols.filter((x) => !symbolMap.has(x)); if (unknown.length) errors.push(`symbols: not listed by ${getProvider().name}: ${unknown.join(", ")}`);
     }
+    if (errors.length) return json(400, { ok: false, error: "Watchlist validation failed", errors });
+    const watchlist = { name, symbols, updatedTs: nowMs() };
+    await Promise.all([redis.set(kWatchlist(name), watchlist), redis.sadd(kWatchlists(), name)]);
+    return json(200, { ok: true, mode: "watchlists", watchlist, ms: nowMs() - t0 });
+  }
+
+  if (method === "DELETE") {
+    await Promise.all([redis.del(kWatchlist(name)), redis.srem(kWatchlists(), name)]);
+    return json(200, { ok: true, mode: "watchlists", deleted: name, ms: nowMs() - t0 });
   }
+
+  return json(405, { ok: false, error: `Method ${method} not allowed` });
+}
+
+// Symbols with a preview awaiting close confirmation, wherever it came from (watchlist or scan).
+async function pendingSymbols(user) {
+  const symbols = await redis.smembers(kPendingSymbols(user)); if (!symbols.length) return [];
+  const pending = await redis.mget(...symbols.map((s) => kPending(user, s)));
+  const gone = symbols.filter((_, i) => !pending[i]); if (gone.length) await redis.srem(kPendingSymbols(user), ...gone);
+  return symbols.filter((_, i) => pending[i]);
+}
+
+// Users with at least one pending preview; the scheduled close run confirms for each of them.
+async function pendingUsers() {
+  const users = await redis.smembers(kPendingUsers()); const active = [];
+  for (const user of users) { if ((await pendingSymbols(user)).length) active.push(user); else await redis.srem(kPendingUsers(), user); }
+  return active;
+}
+
+function percentileRanks(values) {
+  const order = values.map((v, i) => [v, i]).sort((a, b) => a[0] - b[0]); const out = new Array(values.length);
+  order.forEach(([, i], rank) => { out[i] = values.length > 1 ? rank / (values.length - 1) : 1; });
+  return out;
+}
+
+function rankUniverse(tickers, symbolMap, minQuoteVolume) {
+  const byId = new Map([...symbolMap.values()].map((s) => [s.symbolId, s]));
+  const rows = [];
+  for (const t of tickers) {
+    const sym = byId.get(t.symbol); const last = Number(t.lastPrice); if (!sym || !(last > 0)) continue;
+    const quoteVolume = Number(t.quoteVolume) || Number(t.volume) * last; if (!(quoteVolume >= minQuoteVolume)) continue;
+    rows.push({ symbol: sym.symbol, quoteVolume, volatilityPct: ((Number(t.highPrice) - Number(t.lowPrice)) / last) * 100, changePct: Number(t.priceChangePercent), ticker: t });
+  }
+  const w = CONFIG.SCAN_WEIGHTS;
+  const vol = percentileRanks(rows.map((r) => r.quoteVolume)), vty = percentileRanks(rows.map((r) => r.volatilityPct)), mom = percentileRanks(rows.map((r) => Math.abs(r.changePct)));
+  rows.forEach((r, i) => { r.score = roundN(w.volume * vol[i] + w.volatility * vty[i] + w.momentum * mom[i]); });
+  return rows.sort((a, b) => b.score - a.score);
+}
+
+async function runScan({ event, symbolMap, user, t0 }) {
+  const qs = event.queryStringParameters || {};
+  const top = clamp(Math.floor(Number(qs.top)) || CONFIG.SCAN_TOP_N, 1, CONFIG.SCAN_MAX_TOP_N);
+  const minQuoteVolume = qs.minVolume != null && Number.isFinite(Number(qs.minVolume)) ? Number(qs.minVolume) : CONFIG.SCAN_MIN_QUOTE_VOLUME;
+  const ranked = rankUniverse(await getProvider().fetchTickersDaily(), symbolMap, minQuoteVolume).slice(0, top);
+  const { results, exposure } = await runBatch({ targets: ranked.map((r) => r.symbol), tickers: new Map(ranked.map((r) => [r.symbol, r.ticker])), symbolMap, mode: "intrabar", user });
+  return json(200, {
+    ok: true, mode: "scan", provider: getProvider().name, profile: activeProfile, universe: symbolMap.size, minQuoteVolume,
+    ranked: ranked.map(({ symbol, score, quoteVolume, volatilityPct, changePct }) => ({ symbol, score, quoteVolume: roundN(quoteVolume, 0), volatilityPct: roundN(volatilityPct, 2), changePct: roundN(changePct, 2) })),
+    signals: results.filter((x) => x && x.mode !== "ERROR"), errors: results.filter((x) => x && x.mode === "ERROR"), exposure, quota: await quotaReport(), ms: nowMs() - t0,
+  });
+}
+
+// Evaluates one symbol without persisting the outcome; its audit (snapshot, closes, persist) goes into `audits`.
+async function runSymbol({ shortSymbol, symbolMap, mode, user, audits, tickerDaily = null }) {
+  try {
+    const symData = symbolMap.get(shortSymbol);
+    if (!symData) return { id: `ERR|${shortSymbol}`, symbol: shortSymbol, mode: "ERROR", error: `Symbol not found in ${getProvider().name}` };
+
+    const { symbolId, tickSize, stepSize } = symData;
+
+    // These will now throw if they fail
+    tickerDaily ||= await fetchTickerDaily(symbolId);
+    const marketData = await fetchMarketData(shortSymbol, symbolId);
+
+    const audit = {};
+    const res = mode === "close"
+      ? await confirmOnCloseForSymbol({ user, symbol: shortSymbol, symbolId, tickSize, stepSize, tickerDaily, marketData, audit })
+      : await evaluateIntrabarForSymbol({ user, symbol: shortSymbol, symbolId, tickSize, stepSize, tickerDaily, marketData, audit });
+    if (getProvider().isStale?.(symbolId) && res?.warnings) res.warnings.push("STALE_DATA");
+    audits.set(shortSymbol, audit);
+    return res;
+  } catch (err) {
+    return { id: `ERR|${shortSymbol}`, symbol: shortSymbol, mode: "ERROR", error: String(err?.message || err) };
+  }
+}
+
+// Runs the exposure guard over an evaluated batch, then saves what it let through and logs every outcome with its warnings.
+async function persistBatch(results, audits, user) {
+  const series = new Map([...audits].filter(([, a]) => a.closes).map(([sym, a]) => [sym, a.closes]));
+  const exposure = applyExposureGuard(results, series);
+  await Promise.all(results.map(async (res) => {
+    if (!res || res.mode === "ERROR") return;
+    const audit = audits.get(res.symbol) ?? {};
+    try { await audit.persist?.(res.meta?.exposure?.suppressed === true); } catch (redisErr) { res.warnings?.push("REDIS_SAVE_FAILED"); }
+    try { await history.log(res, audit.snapshot, { user, profile: activeProfile }); } catch (redisErr) { res.warnings?.push("HISTORY_LOG_FAILED"); }
+  }));
+  return exposure;
+}
+
+// One user's symbols evaluated side by side, then the portfolio exposure pass over the whole batch.
+async function runBatch({ targets, symbolMap, mode, user, tickers = new Map() }) {
+  const audits = new Map();
+  const results = await Promise.all(targets.map((shortSymbol) => runSymbol({ shortSymbol, symbolMap, mode, user, audits, tickerDaily: tickers.get(shortSymbol) ?? null })));
+  return { results, exposure: await persistBatch(results, audits, user) };
+}
+
+// Close mode: each pending preview is re-evaluated under the profile it was created with, one profile group at a
+// time (CONFIG is module state), then the request's own profile is restored for the exposure pass and the response.
+async function runCloseBatch({ user, symbolMap, qs }) {
+  const symbols = await pendingSymbols(user); const pending = symbols.length ? await redis.mget(...symbols.map((s) => kPending(user, s))) : [];
+  const groups = new Map(); symbols.forEach((s, i) => { const name = pending[i]?.profile || "default"; if (!groups.has(name)) groups.set(name, []); groups.get(name).push(s); });
+  const requestConfig = CONFIG, requestProfile = activeProfile, audits = new Map(), results = [];
+  try {
+    for (const [name, targets] of groups) {
+      // A profile deleted since the preview falls back to the defaults.
+      if (!(await activateProfile(name))) await activateProfile("default");
+      applySizingParams(qs);
+      results.push(...(await Promise.all(targets.map((shortSymbol) => runSymbol({ shortSymbol, symbolMap, mode: "close", user, audits })))));
+    }
+  } finally { CONFIG = requestConfig; activeProfile = requestProfile; }
+  return { results, exposure: await persistBatch(results, audits, user) };
+}
+
+// Fixed one-minute window per user; returns the seconds to wait when the request does not fit.
+async function checkRateLimit(user, mode) {
+  const windowMs = floorTimeBucket(nowMs(), 60), cost = CONFIG.RATE_LIMIT_COSTS[mode] ?? 1;
+  const used = await redis.incrby(kRate(user, windowMs), cost); if (used === cost) await redis.expire(kRate(user, windowMs), 120);
+  return used > CONFIG.RATE_LIMIT_PER_MIN ? Math.max(1, Math.ceil((windowMs + 60_000 - nowMs()) / 1000)) : 0;
+}
+
+function buildSymbolMap(symbols) {
+  const map = new Map();
+  for (const s of symbols) if (s.symbol && !map.has(s.symbol)) map.set(s.symbol, s);
   return map;
 }
 
 export async function handler(event) {
-  const t0 = nowMs(); const watchlist = parseWatchlist();
-  if (!watchlist.length) return json(400, { ok: false, error: "WATCHLIST env is empty." });
+  const t0 = nowMs();
+  CONFIG = BASE_CONFIG; activeProfile = "default";
+  if (event.httpMethod === "OPTIONS") return { statusCode: 204, headers: {}, body: "" };
 
-  if (!COINAPI_KEY) return json(500, { ok: false, error: "COINAPI_KEY is not set." });
+  const authError = authConfigError(); if (authError) return json(500, { ok: false, error: authError });
+  const token = bearerToken(event.headers || {});
+  const auth = token ? verifyToken(token) : { ok: false, error: "Missing bearer token" };
+  if (!auth.ok) return json(401, { ok: false, error: auth.error }, { "www-authenticate": 'Bearer realm="trade-bot"' });
+  const user = auth.user;
 
   const mode = (event.queryStringParameters?.mode || "intrabar").toLowerCase();
+  if (user !== SYSTEM_USER) {
+    let retryAfter; try { retryAfter = await checkRateLimit(user, mode); } catch (e) { return json(500, { ok: false, error: String(e?.message || e), ms: nowMs() - t0 }); }
+    if (retryAfter) return json(429, { ok: false, error: `Rate limit exceeded (${CONFIG.RATE_LIMIT_PER_MIN} per minute)`, retryAfterSec: retryAfter }, { "retry-after": String(retryAfter) });
+  }
+
+  let providerError; try { providerError = getProvider().configError(); } catch (e) { providerError = String(e?.message || e); }
+  if (providerError) return json(500, { ok: false, error: providerError });
+  getProvider().beginInvocation?.();
+
+  if (mode === "profiles") {
+    try { return await handleProfiles(event, t0); } catch (e) { return json(500, { ok: false, error: String(e?.message || e), ms: nowMs() - t0 }); }
+  }
+
+  if (mode === "watchlists") {
+    try { return await handleWatchlists(event, t0); } catch (e) { return json(500, { ok: false, error: String(e?.message || e), ms: nowMs() - t0 }); }
+  }
 
-  if (event.httpMethod === "POST" && mode === "wait_close") {
+  const watchlistName = String(event.queryStringParameters?.watchlist || process.env.DEFAULT_WATCHLIST || "default").toLowerCase();
+  const watchlist = await resolveWatchlist(watchlistName);
+  if (!watchlist) return json(400, { ok: false, error: `Unknown watchlist "${watchlistName}"` });
+  if (!watchlist.length && mode !== "scan") return json(400, { ok: false, error: "WATCHLIST env is empty." });
+
+  const profileName = String(event.queryStringParameters?.profile || process.env.DEFAULT_PROFILE || "default").toLowerCase();
+  try { if (!(await activateProfile(profileName))) return json(400, { ok: false, error: `Unknown profile "${profileName}"` }); } catch (e) { return json(500, { ok: false, error: String(e?.message || e), ms: nowMs() - t0 }); }
+  const sizingErrors = applySizingParams(event.queryStringParameters || {});
+  if (sizingErrors.length) return json(400, { ok: false, error: "Invalid sizing parameters", errors: sizingErrors });
+
+  if (event.httpMethod === "POST" && (mode === "wait_close" || mode === "watch")) {
     let body = {}; try { body = event.body ? JSON.parse(event.body) : {}; } catch { body = {}; }
-    const symbol = String(body.symbol || "").toUpperCase(); if (!symbol || !watchlist.includes(symbol)) return json(400, { ok: false, error: "Invalid symbol" });
-    const res = await userRequestConfirm(symbol); return json(200, { ok: true, result: res });
+    const symbol = String(body.symbol || "").toUpperCase(); if (!SYMBOL_RE.test(symbol)) return json(400, { ok: false, error: "Invalid symbol" });
+    const res = mode === "watch" ? await userRequestWatch(user, symbol) : await userRequestConfirm(user, symbol); return json(200, { ok: true, result: res });
   }
 
-  try {
-    const symbolsData = await fetchCoinApiSymbols();
-    if (!symbolsData || !symbolsData.length) return json(500, { ok: false, error: `CoinAPI returned 0 symbols. Check API key.`, ms: nowMs() - t0 });
-    const symbolMap = buildSymbolMap(symbolsData);
-    const matchedCount = watchlist.filter(s => symbolMap.has(s)).length;
+  if (event.httpMethod === "POST" && mode === "unwatch") {
+    let body = {}; try { body = event.body ? JSON.parse(event.body) : {}; } catch { body = {}; }
+    if (!body.id) return json(400, { ok: false, error: "Missing id" });
+    const res = await userRemoveWatch(user, String(body.id)); return json(200, { ok: true, result: res });
+  }
 
-    const tasks = watchlist.map(async (shortSymbol) => {
-      try {
-        const symData = symbolMap.get(shortSymbol);
-        if (!symData) return { id: `ERR|${shortSymbol}`, symbol: shortSymbol, mode: "ERROR", error: "Symbol not found in CoinAPI" };
+  if (mode === "stats") {
+    try { return await runStats({ event, watchlist, user, t0 }); } catch (e) { return json(500, { ok: false, error: String(e?.message || e), ms: nowMs() - t0 }); }
+  }
 
-        const symbolId = symData.symbol_id;
-        const tickSize = symData.price_precision ? String(symData.price_precision) : "0.01";
+  if (mode === "history") {
+    try { return await history.handle({ event, user, t0 }); } catch (e) { return json(500, { ok: false, error: String(e?.message || e), ms: nowMs() - t0 }); }
+  }
 
-        // These will now throw if they fail
-        const tickerDaily = await fetchTickerDaily(symbolId);
-        const marketData = await fetchMarketData(symbolId);
+  if (mode === "paper") {
+    try { return await getPaper().handle(event, user, t0); } catch (e) { return json(500, { ok: false, error: String(e?.message || e), ms: nowMs() - t0 }); }
+  }
 
-        if (mode === "close") {
-          return await confirmOnCloseForSymbol({ symbol: shortSymbol, symbolId, tickSize, tickerDaily, marketData });
-        } else {
-          return await evaluateIntrabarForSymbol({ symbol: shortSymbol, symbolId, tickSize, tickerDaily, marketData });
-        }
-      } catch (err) {
-        return { id: `ERR|${shortSymbol}`, symbol: shortSymbol, mode: "ERROR", error: String(err?.message || err) };
-      }
-    });
+  try {
+    const symbolsData = await fetchSymbols();
+    if (!symbolsData || !symbolsData.length) return json(500, { ok: false, error: `${getProvider().name} returned 0 symbols. Check provider configuration.`, ms: nowMs() - t0 });
+    const symbolMap = buildSymbolMap(symbolsData);
+    const matchedCount = watchlist.filter(s => symbolMap.has(s)).length;
 
-    const results = await Promise.all(tasks);
+    if (mode === "backtest") return await runBacktest({ event, watchlist, symbolMap, t0 });
+    if (mode === "scan") return await runScan({ event, symbolMap, user, t0 });
+
+    let results, extra;
+    const qs = event.queryStringParameters || {};
+    if (mode === "close" && user === SYSTEM_USER) {
+      // Scheduled run: every user's pending previews, one batch (and one exposure pass) per user.
+      const batches = [];
+      for (const u of await pendingUsers()) batches.push([u, await runCloseBatch({ user: u, symbolMap, qs })]);
+      results = batches.flatMap(([, b]) => b.results); extra = { exposure: Object.fromEntries(batches.map(([u, b]) => [u, b.exposure])) };
+    } else if (mode === "close") {
+      // Only pending previews can confirm, wherever they came from (watchlist or scan).
+      const batch = await runCloseBatch({ user, symbolMap, qs }); results = batch.results; extra = { exposure: batch.exposure };
+    } else {
+      const batch = await runBatch({ targets: watchlist, symbolMap, mode, user }); results = batch.results; extra = { exposure: batch.exposure };
+    }
+    if (mode === "close") {
+      extra.invalidated = results.filter((x) => x && x.mode === "INVALIDATED");
+      extra.notifications = await notifier.notify(results.filter((x) => !x?.meta?.exposure?.suppressed)).catch((e) => ({ error: String(e?.message || e) }));
+      extra.paper = await getPaper().markAll(user === SYSTEM_USER ? null : user).catch((e) => ({ error: String(e?.message || e) }));
+    }
 
-    return json(200, { ok: true, mode, watchlist, symbolCount: symbolsData.length, matchedCount, signals: results.filter((x) => x && x.mode !== "ERROR" && x.mode !== "INVALIDATED"), errors: results.filter((x) => x && x.mode === "ERROR"), ms: nowMs() - t0 });
+    return json(200, { ok: true, mode, user, provider: getProvider().name, profile: activeProfile, watchlist, symbolCount: symbolsData.length, matchedCount, signals: results.filter((x) => x && x.mode !== "ERROR" && x.mode !== "INVALIDATED"), errors: results.filter((x) => x && x.mode === "ERROR"), ...extra, quota: await quotaReport(), ms: nowMs() - t0 });
 
   } catch (e) { return json(500, { ok: false, error: String(e?.message || e), ms: nowMs() - t0 }); }
 }
 
-function json(statusCode, body) { return { statusCode, headers: { "content-type": "application/json; charset=utf-8" }, body: JSON.stringify(body) }; }
+function json(statusCode, body, headers = {}) { return { statusCode, headers: { "content-type": "application/json; charset=utf-8", ...headers }, body: JSON.stringify(body) }; }
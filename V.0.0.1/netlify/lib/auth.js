@@ -0,0 +1,44 @@
+// netlify/lib/auth.js
+// API keys are HS256 JWTs signed with AUTH_SECRET and verified locally, so no auth service sits in the request path.
+// Claims: sub = user id (namespaces pending / cooldown / watch / paper state and the rate limit), optional exp / nbf in seconds.
+// Issue a key:  AUTH_SECRET=... node -e 'import("./netlify/lib/auth.js").then((a) => console.log(a.signToken({ sub: "alice" })))'
+// sub "system" is reserved: its tokens are signed with a key derived from AUTH_SECRET (signSystemToken), so an issued
+// user key that claims it fails verification.
+import crypto from "node:crypto";
+
+export const USER_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+// Used by close-runner to confirm every user's pending previews; never rate limited.
+export const SYSTEM_USER = "system";
+
+const b64url = (x) => Buffer.from(x).toString("base64url");
+function hmac(data, secret) { return crypto.createHmac("sha256", secret).update(data).digest(); }
+function systemSecret(secret) { return hmac("trade-bot:system-token", secret); }
+
+export function authConfigError() { return (process.env.AUTH_SECRET || "").length >= 32 ? null : "AUTH_SECRET must be set (at least 32 characters)"; }
+
+export function signToken(claims, secret = process.env.AUTH_SECRET) {
+  const head = b64url(JSON.stringify({ alg: "HS256", typ: "JWT" })), body = b64url(JSON.stringify({ iat: Math.floor(Date.now() / 1000), ...claims }));
+  return `${head}.${body}.${b64url(hmac(`${head}.${body}`, secret))}`;
+}
+
+export function signSystemToken(ttlSec = 300, secret = process.env.AUTH_SECRET) {
+  return signToken({ sub: SYSTEM_USER, exp: Math.floor(Date.now() / 1000) + ttlSec }, systemSecret(secret));
+}
+
+// Returns { ok: true, user, claims } or { ok: false, error }; the error text is safe to send back to the caller.
+export function verifyToken(token, secret = process.env.AUTH_SECRET, nowSec = Math.floor(Date.now() / 1000)) {
+  const parts = String(token || "").split("."); if (parts.length !== 3) return { ok: false, error: "Malformed token" };
+  let header, claims; try { header = JSON.parse(Buffer.from(parts[0], "base64url")); claims = JSON.parse(Buffer.from(parts[1], "base64url")); } catch { return { ok: false, error: "Malformed token" }; }
+  if (header?.alg !== "HS256") return { ok: false, error: "Unsupported token algorithm" };
+  const expected = hmac(`${parts[0]}.${parts[1]}`, claims?.sub === SYSTEM_USER ? systemSecret(secret) : secret), given = Buffer.from(parts[2], "base64url");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return { ok: false, error: "Invalid token signature" };
+  if (claims?.exp != null && !(nowSec < Number(claims.exp))) return { ok: false, error: "Token expired" };
+  if (claims?.nbf != null && nowSec < Number(claims.nbf)) return { ok: false, error: "Token not yet valid" };
+  if (!USER_RE.test(String(claims?.sub ?? ""))) return { ok: false, error: "Token has no valid sub claim" };
+  return { ok: true, user: claims.sub, claims };
+}
+
+export function bearerToken(headers = {}) {
+  const m = /^Bearer\s+(\S+)$/i.exec(headers.authorization ?? headers.Authorization ?? "");
+  return m ? m[1] : null;
+}
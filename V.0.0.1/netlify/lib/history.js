@@ -0,0 +1,111 @@
+// netlify/lib/history.js
+// Every PREVIEW / CONFIRMED / INVALIDATED / SKIP outcome is stored under hist:e:{hid} with the user it was evaluated for
+// and the indicator snapshot it was based on. hist:log (global cap) and the per-user, per-user-symbol and per-user-kind
+// sorted sets hold only hids (score = time), so `mode=history` pages through the caller's index and loads just the page.
+
+export const HISTORY_CONFIG = { RETENTION_DAYS: 30, MAX_ENTRIES: 50_000, PAGE_DEFAULT: 100, PAGE_MAX: 1000 };
+
+const kHistory = () => "hist:log";
+const kHistoryUser = (user) => `hist:user:${user}`;
+const kHistorySymbol = (user, sym) => `hist:sym:${user}:${sym}`;
+const kHistoryKind = (user, kind) => `hist:kind:${user}:${kind}`;
+const kHistoryEntry = (hid) => `hist:e:${hid}`;
+
+function nowMs() { return Date.now(); }
+function clamp(x, a, b) { return Math.max(a, Math.min(b, x)); }
+
+export function historyKind(res) { return String(res.id).startsWith("SKIP|") ? "SKIP" : res.mode; }
+
+function historyIndexes(e) { return [kHistoryUser(e.user), kHistorySymbol(e.user, e.symbol), kHistoryKind(e.user, e.kind)]; }
+
+function parseTimeParam(v) {
+  if (v == null || v === "") return null;
+  const ms = /^\d+$/.test(String(v)) ? Number(v) : Date.parse(v);
+  return Number.isFinite(ms) ? ms : NaN;
+}
+
+const HISTORY_CSV_COLUMNS = ["ts", "time", "kind", "symbol", "id", "direction", "confidence", "entry", "tpPrice", "slPrice", "reasons", "warnings", "profile", "rsi", "macdHist", "atr", "bbWidthClass", "trend", "momentumScore"];
+
+function historyToCsv(entries) {
+  const cell = (v) => { const t = v == null ? "" : String(v); return /[",\n]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t; };
+  const row = (e) => [e.ts, new Date(e.ts).toISOString(), e.kind, e.symbol, e.id, e.direction, e.confidence, e.entry, e.tpPrice, e.slPrice, e.reasons.join("|"), e.warnings.join("|"), e.profile,
+    e.snapshot?.rsi, e.snapshot?.macdHist, e.snapshot?.atr, e.snapshot?.bbWidthClass, e.snapshot?.trend, e.snapshot?.momentumScore].map(cell).join(",");
+  return [HISTORY_CSV_COLUMNS.join(","), ...entries.map(row)].join("\n") + "\n";
+}
+
+export function createHistory({ redis, json }) {
+  async function loadHistoryEntries(hids) {
+    if (!hids.length) return [];
+    const out = [];
+    for (let i = 0; i < hids.length; i += 500) out.push(...(await redis.mget(...hids.slice(i, i + 500).map(kHistoryEntry))));
+    return out.filter(Boolean);
+  }
+
+  // Candidates for the filters as hids, newest first: union within a filter (several symbols), intersection across filters.
+  async function historyCandidates(dims, from, to) {
+    let result = null;
+    for (const keys of dims) {
+      const hids = new Set((await Promise.all(keys.map((k) => redis.zrange(k, from, to, { byScore: true })))).flat().map(String));
+      result = result ? new Set([...result].filter((h) => hids.has(h))) : hids;
+    }
+    return [...result].sort((a, b) => parseInt(b, 10) - parseInt(a, 10));
+  }
+
+  async function log(res, snapshot, { user, profile }) {
+    if (!res || res.mode === "ERROR") return;
+    const ts = nowMs(), hid = `${ts}|${user}|${res.id}`, keepSec = HISTORY_CONFIG.RETENTION_DAYS * 86400, cutoff = ts - keepSec * 1000;
+    const entry = {
+      ts, user, kind: historyKind(res), id: res.id, symbol: res.symbol, direction: res.direction, confidence: res.confidence, entry: res.entryRefPrice ?? null, tpPrice: res.tpPrice ?? null, slPrice: res.slPrice ?? null,
+      reasons: res.reasons ?? [], warnings: res.warnings ?? [], profile: res.meta?.profile ?? profile, snapshot,
+    };
+    const indexes = historyIndexes(entry);
+    await redis.set(kHistoryEntry(hid), entry, { ex: keepSec });
+    await Promise.all([kHistory(), ...indexes].map((k) => redis.zadd(k, { score: ts, member: hid })));
+    // Index sets only lose old members on writes; entries they still point at have expired and are skipped on read.
+    // Entries over HISTORY_CONFIG.MAX_ENTRIES are dropped from every index they are in, so index counts stay exact.
+    const overflow = (await redis.zrange(kHistory(), 0, -HISTORY_CONFIG.MAX_ENTRIES - 1)).map(String);
+    const dropped = await loadHistoryEntries(overflow), hidsByIndex = new Map();
+    dropped.forEach((e) => historyIndexes(e).forEach((k) => hidsByIndex.set(k, [...(hidsByIndex.get(k) ?? []), `${e.ts}|${e.user}|${e.id}`])));
+    await Promise.all([
+      ...[kHistory(), ...indexes].map((k) => redis.zremrangebyscore(k, 0, cutoff)), ...indexes.map((k) => redis.expire(k, keepSec)),
+      ...(overflow.length ? [redis.zrem(kHistory(), ...overflow), redis.del(...overflow.map(kHistoryEntry))] : []),
+      ...[...hidsByIndex].map(([k, hids]) => redis.zrem(k, ...hids)),
+    ]);
+  }
+
+  async function handle({ event, user, t0 }) {
+    const qs = event.queryStringParameters || {};
+    const list = (v) => String(v || "").split(",").map((x) => x.trim().toUpperCase()).filter(Boolean);
+    const symbols = list(qs.symbol), kinds = list(qs.kind), reasons = list(qs.reason);
+    const from = parseTimeParam(qs.from), to = parseTimeParam(qs.to);
+    const errors = [];
+    if (Number.isNaN(from)) errors.push("from: expected epoch ms or ISO date");
+    if (Number.isNaN(to)) errors.push("to: expected epoch ms or ISO date");
+    const badKinds = kinds.filter((k) => !["PREVIEW", "CONFIRMED", "INVALIDATED", "SKIP"].includes(k)); if (badKinds.length) errors.push(`kind: unknown ${badKinds.join(", ")}`);
+    const format = String(qs.format || "json").toLowerCase(); if (!["json", "csv"].includes(format)) errors.push("format: expected json or csv");
+    if (errors.length) return json(400, { ok: false, error: "Invalid history query", errors });
+
+    const limit = clamp(Math.floor(Number(qs.limit)) || HISTORY_CONFIG.PAGE_DEFAULT, 1, HISTORY_CONFIG.PAGE_MAX), offset = Math.max(0, Math.floor(Number(qs.offset)) || 0);
+    const lo = from ?? 0, hi = to ?? nowMs();
+    const dims = [symbols.map((s) => kHistorySymbol(user, s)), kinds.map((k) => kHistoryKind(user, k))].filter((keys) => keys.length);
+    let page, total;
+    if (dims.length <= 1 && (dims[0]?.length ?? 1) === 1 && !reasons.length) {
+      // One index: the page comes straight from ZRANGE ... REV LIMIT.
+      const key = dims[0]?.[0] ?? kHistoryUser(user);
+      const [hids, count] = await Promise.all([redis.zrange(key, hi, lo, { byScore: true, rev: true, offset, count: limit }), redis.zcount(key, lo, hi)]);
+      page = await loadHistoryEntries(hids.map(String)); total = count;
+    } else {
+      // Reasons are not indexed, so only the index-narrowed candidates are loaded to match them.
+      const hids = await historyCandidates(dims.length ? dims : [[kHistoryUser(user)]], lo, hi);
+      if (reasons.length) {
+        const matches = (await loadHistoryEntries(hids)).filter((e) => e.reasons.some((r) => reasons.includes(String(r).toUpperCase())));
+        page = matches.slice(offset, offset + limit); total = matches.length;
+      } else { page = await loadHistoryEntries(hids.slice(offset, offset + limit)); total = hids.length; }
+    }
+
+    if (format === "csv") return { statusCode: 200, headers: { "content-type": "text/csv; charset=utf-8", "content-disposition": `attachment; filename="signal-history-${nowMs()}.csv"` }, body: historyToCsv(page) };
+    return json(200, { ok: true, mode: "history", total, offset, limit, nextOffset: offset + limit < total ? offset + limit : null, entries: page, ms: nowMs() - t0 });
+  }
+
+  return { log, handle };
+}
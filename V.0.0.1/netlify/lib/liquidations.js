@@ -0,0 +1,56 @@
+// netlify/lib/liquidations.js
+// Shared between trade-bot (reader of liq:{symbol}) and liq-ingest (writer).
+
+export const LIQ_CONFIG = {
+  WINDOW_RECENT_MIN: 15, WINDOW_BASELINE_MIN: 240, BIAS_DOMINANCE: 0.65,
+  INTENSITY_PER_BASELINE: 2, MIN_RECENT_NOTIONAL: 50_000, MIN_BASELINE_NOTIONAL: 10_000,
+  TTL_AGG_SEC: 30 * 60, TTL_EVENTS_SEC: 6 * 3600,
+};
+
+export const kLiq = (sym) => `liq:${sym}`;
+export const kLiqEvents = (sym) => `liq:events:${sym}`;
+
+function toMs(v) { if (typeof v === "number") return v; if (/^\d+$/.test(String(v))) return Number(v); return new Date(v).getTime(); }
+
+// Accepts Binance `forceOrder` payloads ({ e, E, o: { s, S, q, p, ap, T } }) and the normalized shape
+// { symbol, side: "LONG"|"SHORT", price, qty, ts }. `side` is the position that was liquidated:
+// a forced SELL closes a long, a forced BUY closes a short.
+export function normalizeLiqEvent(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  let ev;
+  if (raw.o && raw.o.s) {
+    const o = raw.o; const price = Number(o.ap) > 0 ? Number(o.ap) : Number(o.p);
+    ev = { symbol: String(o.s).toUpperCase(), side: o.S === "SELL" ? "LONG" : "SHORT", price, qty: Number(o.z) > 0 ? Number(o.z) : Number(o.q), ts: toMs(o.T ?? raw.E) };
+  } else {
+    ev = { symbol: String(raw.symbol || "").toUpperCase(), side: String(raw.side || "").toUpperCase(), price: Number(raw.price), qty: Number(raw.qty), ts: toMs(raw.ts) };
+  }
+  if (!ev.symbol || (ev.side !== "LONG" && ev.side !== "SHORT")) return null;
+  if (!(ev.price > 0) || !(ev.qty > 0) || !Number.isFinite(ev.ts)) return null;
+  ev.notional = ev.price * ev.qty;
+  ev.id = `${ev.symbol}|${ev.ts}|${ev.side}|${ev.price}|${ev.qty}`;
+  return ev;
+}
+
+// intensityScore ~ 2 when the recent window matches the baseline rate, 8+ at 4x baseline (LIQ_THR_HIGH).
+// dirBias +1 means longs are being flushed (bearish pressure), -1 shorts, 0 mixed.
+export function aggregateLiquidations(events, nowMs) {
+  const recentFrom = nowMs - LIQ_CONFIG.WINDOW_RECENT_MIN * 60_000, baselineFrom = nowMs - LIQ_CONFIG.WINDOW_BASELINE_MIN * 60_000;
+  let longNotional = 0, shortNotional = 0, baselineNotional = 0, count = 0;
+  for (const ev of events) {
+    if (ev.ts < baselineFrom || ev.ts > nowMs) continue;
+    baselineNotional += ev.notional;
+    if (ev.ts < recentFrom) continue;
+    count++;
+    if (ev.side === "LONG") longNotional += ev.notional; else shortNotional += ev.notional;
+  }
+  const notionalSum = longNotional + shortNotional;
+  const windowsInBaseline = LIQ_CONFIG.WINDOW_BASELINE_MIN / LIQ_CONFIG.WINDOW_RECENT_MIN;
+  const baselinePerWindow = Math.max(baselineNotional / windowsInBaseline, LIQ_CONFIG.MIN_BASELINE_NOTIONAL);
+
+  let intensityScore = 0;
+  if (notionalSum >= LIQ_CONFIG.MIN_RECENT_NOTIONAL) intensityScore = Math.min(10, LIQ_CONFIG.INTENSITY_PER_BASELINE * (notionalSum / baselinePerWindow));
+  let dirBias = 0;
+  if (notionalSum > 0) { const longShare = longNotional / notionalSum; if (longShare >= LIQ_CONFIG.BIAS_DOMINANCE) dirBias = +1; else if (1 - longShare >= LIQ_CONFIG.BIAS_DOMINANCE) dirBias = -1; }
+
+  return { intensityScore: Number(intensityScore.toFixed(1)), dirBias, notionalSum, longNotional, shortNotional, baselineNotional, count, windowMin: LIQ_CONFIG.WINDOW_RECENT_MIN, updatedTs: nowMs };
+}
@@ -0,0 +1,84 @@
+// netlify/lib/notifier.js
+// Pushes CONFIRMED / INVALIDATED results to the sinks configured in env:
+//   NOTIFY_WEBHOOK_URL                      generic JSON webhook
+//   TELEGRAM_BOT_TOKEN + TELEGRAM_CHAT_ID   Telegram bot API
+//   DISCORD_WEBHOOK_URL                     Discord webhook
+// Templates can be overridden with NOTIFY_TEMPLATE_CONFIRMED / NOTIFY_TEMPLATE_INVALIDATED using {placeholders}.
+import axios from "axios";
+
+// Notifications run inline in the scheduled close run, so one run spends at most BUDGET_MS on them (sends are
+// parallel); a dead sink costs a couple of short attempts, not the rest of the run's confirmations.
+const NOTIFY_CONFIG = { ATTEMPTS: 2, BACKOFF_MS: 300, MAX_RETRY_AFTER_MS: 2000, TIMEOUT_MS: 3000, BUDGET_MS: 8000, TTL_SENT_SEC: 7 * 24 * 3600 };
+
+const DEFAULT_TEMPLATES = {
+  CONFIRMED: "✅ CONFIRMED {symbol} {direction}\nEntry {entry} · TP {tp} · SL {sl}\nConfidence {confidence}% · R/R {rr}\n{reasons}",
+  INVALIDATED: "❌ INVALIDATED {symbol}\nReason: {reason}",
+};
+
+const kSent = (sink, id) => `ntf:sent:${sink}:${id}`;
+
+function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
+
+export function renderTemplate(template, signal) {
+  const vars = {
+    id: signal.id, mode: signal.mode, symbol: signal.symbol, direction: signal.direction, confidence: signal.confidence,
+    entry: signal.entryRefPrice ?? "", tp: signal.tpPrice ?? "", sl: signal.slPrice ?? "", rr: signal.meta?.rr ?? "",
+    reason: signal.reasons?.[0] ?? "", reasons: (signal.reasons || []).join(", "), warnings: (signal.warnings || []).join(", "),
+  };
+  return template.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m));
+}
+
+function configuredSinks() {
+  const sinks = [];
+  if (process.env.NOTIFY_WEBHOOK_URL) sinks.push({ name: "webhook", url: process.env.NOTIFY_WEBHOOK_URL, payload: (text, signal) => ({ event: signal.mode, text, signal }) });
+  if (process.env.TELEGRAM_BOT_TOKEN && process.env.TELEGRAM_CHAT_ID) sinks.push({ name: "telegram", url: `https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`, payload: (text) => ({ chat_id: process.env.TELEGRAM_CHAT_ID, text, disable_web_page_preview: true }) });
+  if (process.env.DISCORD_WEBHOOK_URL) sinks.push({ name: "discord", url: process.env.DISCORD_WEBHOOK_URL, payload: (text) => ({ content: text }) });
+  return sinks;
+}
+
+// Retries network errors, 5xx and 429 (honouring Telegram/Discord retry_after); other 4xx fail fast.
+// No attempt or wait runs past `deadline` (epoch ms).
+async function postWithRetry(url, body, deadline) {
+  let lastErr = new Error("Notification budget exhausted");
+  for (let attempt = 0; attempt < NOTIFY_CONFIG.ATTEMPTS; attempt++) {
+    const left = deadline - Date.now(); if (left < 100) break;
+    try { await axios.post(url, body, { timeout: Math.min(NOTIFY_CONFIG.TIMEOUT_MS, left) }); return; } catch (err) {
+      lastErr = err; const status = err.response?.status;
+      if (status && status < 500 && status !== 429) break;
+      if (attempt === NOTIFY_CONFIG.ATTEMPTS - 1) break;
+      const retryAfterSec = Number(err.response?.data?.parameters?.retry_after ?? err.response?.data?.retry_after);
+      const wait = Number.isFinite(retryAfterSec) ? Math.min(retryAfterSec * 1000, NOTIFY_CONFIG.MAX_RETRY_AFTER_MS) : NOTIFY_CONFIG.BACKOFF_MS * 2 ** attempt;
+      if (Date.now() + wait >= deadline) break;
+      await sleep(wait);
+    }
+  }
+  throw lastErr;
+}
+
+export function createNotifier({ redis }) {
+  const sinks = configuredSinks();
+  const templates = { CONFIRMED: process.env.NOTIFY_TEMPLATE_CONFIRMED || DEFAULT_TEMPLATES.CONFIRMED, INVALIDATED: process.env.NOTIFY_TEMPLATE_INVALIDATED || DEFAULT_TEMPLATES.INVALIDATED };
+
+  async function sendOne(sink, signal, deadline) {
+    // Claim the id first so concurrent runs cannot double-post; release it if delivery fails.
+    const claimed = await redis.set(kSent(sink.name, signal.id), 1, { nx: true, ex: NOTIFY_CONFIG.TTL_SENT_SEC });
+    if (claimed !== "OK") return "skipped";
+    try { await postWithRetry(sink.url, sink.payload(renderTemplate(templates[signal.mode], signal), signal), deadline); return "sent"; } catch (err) {
+      await redis.del(kSent(sink.name, signal.id)).catch(() => null); return "failed";
+    }
+  }
+
+  return {
+    sinks: sinks.map((s) => s.name),
+
+    async notify(results) {
+      const summary = { sent: 0, skipped: 0, failed: 0 };
+      const signals = results.filter((x) => x && templates[x.mode]);
+      if (!sinks.length || !signals.length) return summary;
+      const deadline = Date.now() + NOTIFY_CONFIG.BUDGET_MS;
+      const outcomes = await Promise.all(signals.flatMap((signal) => sinks.map((sink) => sendOne(sink, signal, deadline))));
+      for (const o of outcomes) summary[o]++;
+      return summary;
+    },
+  };
+}
@@ -0,0 +1,201 @@
+// netlify/lib/paper.js
+// Simulated accounts in Redis. A position opens at the current market price (plus slippage) from a pending
+// preview or a tracked signal, then follows that signal's exit plan on closed 1h candles via walkLadder.
+// Market fills (entry, stops, manual close) pay SLIPPAGE_BPS; targets fill at their price; every fill pays FEE_BPS.
+// trade-bot owns market data, sizing and the exit-plan walk and hands them in as `market`.
+
+export const PAPER_CONFIG = {
+  START_BALANCE: 10_000, FEE_BPS: 4, SLIPPAGE_BPS: 2, MAX_OPEN: 20, CLOSED_KEEP: 200,
+  FILLS_KEEP: 500, EQUITY_POINTS: 2000, EQUITY_MIN_GAP_SEC: 300, LOCK_TTL_SEC: 30, LOCK_WAIT_MS: 3000,
+};
+
+const HOUR_MS = 3600_000;
+const kPaperAcct = (account) => `paper:acct:${account}`;
+const kPaperAccounts = () => "paper:accounts";
+const kPaperEquity = (account) => `paper:eq:${account}`;
+const kPaperFills = (account) => `paper:fills:${account}`;
+const kPaperLock = (account) => `paper:lock:${account}`;
+
+function nowMs() { return Date.now(); }
+function roundN(x, d = 3) { return Number.isFinite(x) ? Number(x.toFixed(d)) : null; }
+
+function newPaperAccount(account, balance) {
+  return { account, startBalance: balance, balance, realizedPnl: 0, feesPaid: 0, positions: [], closed: [], createdTs: nowMs(), updatedTs: nowMs(), lastEquityTs: 0 };
+}
+
+function paperEquity(acct) { return acct.balance + acct.positions.reduce((a, p) => a + (p.unrealizedPnl || 0), 0); }
+function paperUsedMargin(acct) { return acct.positions.reduce((a, p) => a + (p.entry * p.qty * p.remainingPct) / 100 / p.leverage, 0); }
+
+// Books one fill on the account and position; `fills` collects the ledger lines written on save.
+function applyPaperFill(acct, pos, fills, { kind, price, qty }) {
+  const pnl = kind === "OPEN" ? 0 : (pos.direction === "LONG" ? price - pos.entry : pos.entry - price) * qty;
+  const fee = (price * qty * PAPER_CONFIG.FEE_BPS) / 10000;
+  const opening = pos.direction === "LONG" ? "BUY" : "SELL";
+  acct.balance += pnl - fee; acct.realizedPnl += pnl; acct.feesPaid += fee; pos.realizedPnl += pnl - fee; pos.fees += fee;
+  fills.push({ ts: nowMs(), account: acct.account, positionId: pos.id, symbol: pos.symbol, kind, side: kind === "OPEN" ? opening : opening === "BUY" ? "SELL" : "BUY", price, qty, fee: roundN(fee, 4), pnl: roundN(pnl, 4) });
+}
+
+function closePaperPosition(acct, pos, { exitReason, exitPrice }) {
+  acct.positions = acct.positions.filter((p) => p.id !== pos.id);
+  acct.closed.push({ ...pos, remainingPct: 0, unrealizedPnl: 0, exitReason, exitPrice, exitTs: nowMs(), pnl: roundN(pos.realizedPnl, 2) });
+  acct.closed = acct.closed.slice(-PAPER_CONFIG.CLOSED_KEEP);
+}
+
+// market: { symbolMap(), marketPrice(symbol, symbolId), klines1h(symbolId), findSignal(user, symbol, signalId),
+//           sizePosition(args), walkLadder(c, i, plan, horizon, from), parseCandleRows(rows), roundToTick(price, tickSize, mode) }
+export function createPaperTrading({ redis, json, market, accountRe, symbolRe }) {
+  // Every load -> mark -> save runs under paper:lock:{account} (SET NX with a short TTL) so concurrent requests and the
+  // close run cannot overwrite each other's fills. Returns null when the lock is still held after waitMs.
+  async function withPaperLock(account, waitMs, fn) {
+    const token = `${nowMs()}:${Math.random().toString(36).slice(2)}`, until = nowMs() + waitMs;
+    while ((await redis.set(kPaperLock(account), token, { nx: true, ex: PAPER_CONFIG.LOCK_TTL_SEC })) !== "OK") {
+      if (nowMs() >= until) return null;
+      await new Promise((r) => setTimeout(r, 150));
+    }
+    try { return await fn(); } finally { if ((await redis.get(kPaperLock(account))) === token) await redis.del(kPaperLock(account)); }
+  }
+
+  async function loadPaperAccount(account) { return (await redis.get(kPaperAcct(account))) || newPaperAccount(account, PAPER_CONFIG.START_BALANCE); }
+
+  function slippedPrice(price, side, tickSize) {
+    const raw = price * (1 + ((side === "BUY" ? 1 : -1) * PAPER_CONFIG.SLIPPAGE_BPS) / 10000);
+    return market.roundToTick(raw, tickSize, side === "BUY" ? "up" : "down");
+  }
+
+  async function openPaperPosition(acct, fills, { user, symbol, signalId }, symbolMap) {
+    if (acct.positions.length >= PAPER_CONFIG.MAX_OPEN) return { ok: false, reason: "MAX_OPEN_POSITIONS" };
+    const sig = await market.findSignal(user, symbol, signalId); if (!sig || !["LONG", "SHORT"].includes(sig.direction)) return { ok: false, reason: "NO_SIGNAL" };
+    if (acct.positions.some((p) => p.signalId === sig.id)) return { ok: false, reason: "ALREADY_OPEN" };
+    const symData = symbolMap.get(symbol); if (!symData) return { ok: false, reason: "UNKNOWN_SYMBOL" };
+
+    const tickSize = sig.meta?.tickSize ?? symData.tickSize, side = sig.direction === "LONG" ? "BUY" : "SELL";
+    const entry = slippedPrice(await market.marketPrice(symbol, symData.symbolId), side, tickSize);
+    if (!(entry > 0)) return { ok: false, reason: "NO_PRICE" };
+    if (sig.direction === "LONG" ? entry <= sig.slPrice : entry >= sig.slPrice) return { ok: false, reason: "PRICE_BEYOND_STOP" };
+
+    const sized = market.sizePosition({ entry, slPrice: sig.slPrice, direction: sig.direction, tickSize, stepSize: symData.stepSize, equity: paperEquity(acct) });
+    if (!sized.sizing) return { ok: false, reason: "SIZE_BELOW_LOT_STEP" };
+    if (sized.sizing.margin > paperEquity(acct) - paperUsedMargin(acct)) return { ok: false, reason: "INSUFFICIENT_MARGIN" };
+
+    const targets = sig.targets?.length ? sig.targets : [{ label: "TP", r: null, price: sig.tpPrice, closePct: 100 }];
+    const pos = {
+      id: `PAPER|${symbol}|${nowMs()}`, signalId: sig.id, symbol, symbolId: symData.symbolId, direction: sig.direction, qty: sized.sizing.qty, entry, refPrice: sig.entryRefPrice,
+      slPrice: sig.slPrice, targets, stopRules: sig.stopRules ?? null, tickSize, leverage: sized.sizing.leverage, openTs: nowMs(),
+      // Fills start with the first bar that opens after entry; the entry bar's earlier range is not ours.
+      lastBarTs: Math.floor(nowMs() / HOUR_MS) * HOUR_MS + HOUR_MS,
+      stop: sig.slPrice, stopKind: "SL", hits: [], remainingPct: 100, trailing: false, extreme: null, realizedPnl: 0, fees: 0, markPrice: entry, unrealizedPnl: 0,
+    };
+    acct.positions.push(pos); applyPaperFill(acct, pos, fills, { kind: "OPEN", price: entry, qty: pos.qty });
+    return { ok: true, position: pos, warnings: sized.warnings };
+  }
+
+  async function markPaperAccount(acct, fills, candleCache) {
+    for (const pos of [...acct.positions]) {
+      if (!candleCache.has(pos.symbol)) candleCache.set(pos.symbol, market.klines1h(pos.symbolId));
+      const rows = await candleCache.get(pos.symbol); const c = market.parseCandleRows(rows.filter((r) => r.closeTime <= nowMs()));
+      const closing = pos.direction === "LONG" ? "SELL" : "BUY";
+      let i = -1; for (let k = 0; k < c.closeTime.length; k++) if (c.closeTime[k] <= pos.lastBarTs) i = k;
+      const res = market.walkLadder(c, i, pos, Infinity, pos);
+      if (res) {
+        const newHits = res.hits.slice(pos.hits.length);
+        for (const h of newHits) { const t = pos.targets.find((x) => x.label === h.label); applyPaperFill(acct, pos, fills, { kind: h.label, price: h.price, qty: (pos.qty * t.closePct) / 100 }); }
+        const openPct = pos.remainingPct - newHits.reduce((a, h) => a + pos.targets.find((x) => x.label === h.label).closePct, 0);
+        Object.assign(pos, { hits: res.hits, stop: res.stop, stopKind: res.stopKind, remainingPct: res.remainingPct, trailing: res.trailing, extreme: res.extreme, lastBarTs: Math.max(pos.lastBarTs, c.closeTime[res.exitIndex] ?? 0) });
+        if (res.done) {
+          const exitPrice = res.exitReason === "TARGETS" ? res.exitPrice : slippedPrice(res.exitPrice, closing, pos.tickSize);
+          if (openPct > 1e-9) applyPaperFill(acct, pos, fills, { kind: res.exitReason, price: exitPrice, qty: (pos.qty * openPct) / 100 });
+          closePaperPosition(acct, pos, { exitReason: res.exitReason, exitPrice }); continue;
+        }
+      }
+      const mark = Number(rows[rows.length - 1]?.close);
+      if (mark > 0) { pos.markPrice = mark; pos.unrealizedPnl = roundN(((pos.direction === "LONG" ? mark - pos.entry : pos.entry - mark) * pos.qty * pos.remainingPct) / 100, 4); }
+    }
+  }
+
+  async function manualClosePaper(acct, fills, id) {
+    const pos = acct.positions.find((p) => p.id === id); if (!pos) return { ok: false, reason: "NOT_FOUND" };
+    const exitPrice = slippedPrice(await market.marketPrice(pos.symbol, pos.symbolId), pos.direction === "LONG" ? "SELL" : "BUY", pos.tickSize);
+    applyPaperFill(acct, pos, fills, { kind: "MANUAL", price: exitPrice, qty: (pos.qty * pos.remainingPct) / 100 });
+    closePaperPosition(acct, pos, { exitReason: "MANUAL", exitPrice }); return { ok: true, exitPrice };
+  }
+
+  async function savePaperAccount(acct, fills, { forcePoint = false } = {}) {
+    acct.updatedTs = nowMs();
+    const writes = [redis.set(kPaperAcct(acct.account), acct), redis.sadd(kPaperAccounts(), acct.account)];
+    if (fills.length) writes.push(redis.lpush(kPaperFills(acct.account), ...fills.map((f) => JSON.stringify(f))).then(() => redis.ltrim(kPaperFills(acct.account), 0, PAPER_CONFIG.FILLS_KEEP - 1)));
+    if (forcePoint || fills.length || nowMs() - (acct.lastEquityTs || 0) >= PAPER_CONFIG.EQUITY_MIN_GAP_SEC * 1000) {
+      acct.lastEquityTs = nowMs();
+      const point = { ts: nowMs(), equity: roundN(paperEquity(acct), 2), balance: roundN(acct.balance, 2) };
+      writes.push(redis.lpush(kPaperEquity(acct.account), JSON.stringify(point)).then(() => redis.ltrim(kPaperEquity(acct.account), 0, PAPER_CONFIG.EQUITY_POINTS - 1)));
+    }
+    await Promise.all(writes);
+  }
+
+  async function paperView(acct, t0, extra = {}) {
+    const parse = (x) => (typeof x === "string" ? JSON.parse(x) : x);
+    const [fills, curve] = await Promise.all([redis.lrange(kPaperFills(acct.account), 0, 49), redis.lrange(kPaperEquity(acct.account), 0, PAPER_CONFIG.EQUITY_POINTS - 1)]);
+    const equity = paperEquity(acct);
+    return json(200, {
+      ok: true, mode: "paper", ...extra,
+      account: { account: acct.account, startBalance: acct.startBalance, balance: roundN(acct.balance, 2), equity: roundN(equity, 2), unrealizedPnl: roundN(equity - acct.balance, 2), realizedPnl: roundN(acct.realizedPnl, 2), feesPaid: roundN(acct.feesPaid, 2), usedMargin: roundN(paperUsedMargin(acct), 2), returnPct: roundN(((equity - acct.startBalance) / acct.startBalance) * 100, 2), createdTs: acct.createdTs },
+      open: acct.positions, closed: acct.closed.slice(-50).reverse(), fills: fills.map(parse), equityCurve: curve.map(parse).reverse(), ms: nowMs() - t0,
+    });
+  }
+
+  async function paperRequest(event, user, account, t0) {
+    const method = event.httpMethod || "GET"; const acct = await loadPaperAccount(account); const fills = [];
+
+    if (method === "GET") {
+      await markPaperAccount(acct, fills, new Map()); await savePaperAccount(acct, fills);
+      return await paperView(acct, t0);
+    }
+    if (method !== "POST") return json(405, { ok: false, error: `Method ${method} not allowed` });
+
+    let body; try { body = event.body ? JSON.parse(event.body) : {}; } catch { return json(400, { ok: false, error: "Invalid JSON body" }); }
+    if (body.action === "open") {
+      const symbol = String(body.symbol || "").toUpperCase(); if (!symbolRe.test(symbol)) return json(400, { ok: false, error: "Invalid symbol" });
+      await markPaperAccount(acct, fills, new Map());
+      const result = await openPaperPosition(acct, fills, { user, symbol, signalId: body.signalId ? String(body.signalId) : null }, await market.symbolMap());
+      await savePaperAccount(acct, fills); return await paperView(acct, t0, { result });
+    }
+    if (body.action === "close") {
+      if (!body.id) return json(400, { ok: false, error: "Missing id" });
+      await markPaperAccount(acct, fills, new Map());
+      const result = acct.positions.some((p) => p.id === body.id) ? await manualClosePaper(acct, fills, String(body.id)) : { ok: false, reason: "NOT_FOUND" };
+      await savePaperAccount(acct, fills); return await paperView(acct, t0, { result });
+    }
+    if (body.action === "reset") {
+      const balance = body.balance == null ? PAPER_CONFIG.START_BALANCE : Number(body.balance);
+      if (!(balance > 0 && balance <= 1e9)) return json(400, { ok: false, error: "balance must be between 0 and 1e9" });
+      const fresh = newPaperAccount(account, balance);
+      await redis.del(kPaperFills(account), kPaperEquity(account)); await savePaperAccount(fresh, [], { forcePoint: true });
+      return await paperView(fresh, t0, { result: { ok: true } });
+    }
+    return json(400, { ok: false, error: "action must be one of open, close, reset" });
+  }
+
+  return {
+    // mode=paper for one of the caller's accounts (`?account=`, default "default").
+    async handle(event, user, t0) {
+      const name = String(event.queryStringParameters?.account || "default").toLowerCase();
+      if (!accountRe.test(name)) return json(400, { ok: false, error: "Invalid account name" });
+      const account = `${user}:${name}`;
+      const res = await withPaperLock(account, PAPER_CONFIG.LOCK_WAIT_MS, () => paperRequest(event, user, account, t0));
+      return res ?? json(409, { ok: false, error: "Paper account is busy, retry shortly" });
+    },
+
+    // Called from close mode so positions keep filling while nobody has the page open; `user` limits it to that user's accounts.
+    // Accounts locked by a request in flight are skipped; that request marks them itself.
+    async markAll(user = null) {
+      const accounts = (await redis.smembers(kPaperAccounts())).filter((a) => !user || a.startsWith(`${user}:`)); const candleCache = new Map(); let fillCount = 0, skipped = 0;
+      for (const name of accounts) {
+        const done = await withPaperLock(name, 0, async () => {
+          const acct = await redis.get(kPaperAcct(name)); if (!acct?.positions?.length) return true;
+          const fills = []; await markPaperAccount(acct, fills, candleCache); await savePaperAccount(acct, fills); fillCount += fills.length; return true;
+        });
+        if (!done) skipped++;
+      }
+      return { accounts: accounts.length, fills: fillCount, skipped };
+    },
+  };
+}
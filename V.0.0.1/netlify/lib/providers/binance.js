@@ -0,0 +1,57 @@
+// netlify/lib/providers/binance.js
+import axios from "axios";
+
+const BINANCE_FAPI_BASE = process.env.BINANCE_FAPI_BASE || "https://fapi.binance.com";
+const MAX_KLINES = 1500;
+
+export function createBinanceProvider() {
+  const http = axios.create({ baseURL: BINANCE_FAPI_BASE, timeout: 15000 });
+
+  function filterValue(s, type, key) { const f = (s.filters || []).find((x) => x.filterType === type); return f ? String(f[key]) : null; }
+  function toTicker(t) {
+    return { symbol: t.symbol, priceChangePercent: Number(t.priceChangePercent), highPrice: Number(t.highPrice), lowPrice: Number(t.lowPrice), lastPrice: Number(t.lastPrice), volume: Number(t.volume), quoteVolume: Number(t.quoteVolume) };
+  }
+
+  return {
+    name: "binance",
+    maxKlines: MAX_KLINES,
+
+    configError() { return null; },
+
+    async fetchSymbols() {
+      const { data } = await http.get("/fapi/v1/exchangeInfo");
+      return (data?.symbols || [])
+        .filter((s) => s.contractType === "PERPETUAL" && s.quoteAsset === "USDT" && s.status === "TRADING")
+        .map((s) => ({ symbol: s.symbol, symbolId: s.symbol, tickSize: filterValue(s, "PRICE_FILTER", "tickSize") || "0.01", stepSize: filterValue(s, "LOT_SIZE", "stepSize") }));
+    },
+
+    async fetchTickerDaily(symbolId) {
+      const { data } = await http.get("/fapi/v1/ticker/24hr", { params: { symbol: symbolId } });
+      if (!data || data.lastPrice == null) throw new Error(`No 24h ticker for ${symbolId}`);
+      return toTicker(data);
+    },
+
+    async fetchTickersDaily() {
+      const { data } = await http.get("/fapi/v1/ticker/24hr");
+      return (data || []).filter((t) => t.lastPrice != null).map(toTicker);
+    },
+
+    async fetchKlines(symbolId, interval, limit) {
+      const { data } = await http.get("/fapi/v1/klines", { params: { symbol: symbolId, interval, limit: Math.min(limit, MAX_KLINES) } });
+      if (!data || !data.length) throw new Error(`No ${interval} klines for ${symbolId}`);
+      // [openTime, open, high, low, close, volume, closeTime, ...]; closeTime is the last ms of the bar.
+      return data.map((k) => ({ openTime: k[0], closeTime: k[6] + 1, open: Number(k[1]), high: Number(k[2]), low: Number(k[3]), close: Number(k[4]), volume: Number(k[5]) }));
+    },
+
+    // premiumIndex carries funding and mark price together, so callers can skip fetchMarkPrice after this.
+    async fetchFunding(symbolId) {
+      const { data } = await http.get("/fapi/v1/premiumIndex", { params: { symbol: symbolId } });
+      return { lastFundingRate: Number(data?.lastFundingRate ?? 0), nextFundingTime: Number(data?.nextFundingTime ?? 0), markPrice: Number(data?.markPrice ?? 0) };
+    },
+
+    async fetchMarkPrice(symbolId) {
+      const { data } = await http.get("/fapi/v1/premiumIndex", { params: { symbol: symbolId } });
+      return Number(data?.markPrice ?? 0);
+    },
+  };
+}
@@ -0,0 +1,100 @@
+// netlify/lib/providers/cache.js
+// Redis-backed cache in front of a provider. Closed candles never change, so they are stored once and
+// only the bars since the last cached close (normally just the forming one) are fetched again.
+// Every upstream call is counted; when upstream fails, cached data is served and the symbol marked stale.
+import { INTERVAL_MS } from "./fixture.js";
+
+const CACHE_CONFIG = {
+  SYMBOLS_FRESH_SEC: 24 * 3600, SYMBOLS_KEEP_SEC: 7 * 24 * 3600,
+  TICKER_FRESH_SEC: 30, TICKER_KEEP_SEC: 24 * 3600,
+  KLINES_KEEP_SEC: 7 * 24 * 3600, KLINES_MAX_ROWS: 2000, TTL_QUOTA_SEC: 40 * 24 * 3600,
+};
+
+const kSymbols = (p) => `mdc:symbols:${p}`;
+const kTicker = (p, id) => `mdc:ticker:${p}:${id}`;
+const kTickers = (p) => `mdc:tickers:${p}`;
+const kKlines = (p, id, interval) => `mdc:kl:${p}:${id}:${interval}`;
+const kQuota = (p, day, field) => `mdc:quota:${p}:${day}:${field}`;
+
+function mergeRows(cached, fresh) {
+  const byOpen = new Map(); for (const r of cached) byOpen.set(r.openTime, r); for (const r of fresh) byOpen.set(r.openTime, r);
+  return [...byOpen.values()].sort((a, b) => a.openTime - b.openTime);
+}
+
+export function withCache(inner, { redis }) {
+  let usage, stale;
+  function reset() { usage = { requests: 0, cacheHits: 0, credits: 0, byMethod: {} }; stale = new Set(); }
+  reset();
+
+  const safeGet = (key) => redis.get(key).catch(() => null);
+  const safeSet = (key, value, ex) => redis.set(key, value, { ex }).catch(() => null);
+
+  async function upstream(method, fn) {
+    const out = await fn();
+    const rows = Array.isArray(out) ? out.length : 1;
+    const credits = inner.creditCost ? inner.creditCost(method, rows) : 1;
+    usage.requests++; usage.credits += credits; usage.byMethod[method] = (usage.byMethod[method] || 0) + 1;
+    const day = new Date().toISOString().slice(0, 10);
+    await Promise.all([redis.incrby(kQuota(inner.name, day, "requests"), 1), redis.incrby(kQuota(inner.name, day, "credits"), credits)]).catch(() => null);
+    return out;
+  }
+
+  // { ts, data } envelopes: fresh within freshSec, kept (for stale fallback) for keepSec.
+  async function cachedEnvelope(key, freshSec, keepSec, method, fn, staleId) {
+    const hit = await safeGet(key);
+    if (hit && Date.now() - hit.ts < freshSec * 1000) { usage.cacheHits++; return hit.data; }
+    try { const data = await upstream(method, fn); await safeSet(key, { ts: Date.now(), data }, keepSec); return data; } catch (err) {
+      if (!hit) throw err; stale.add(staleId); return hit.data;
+    }
+  }
+
+  return {
+    ...inner,
+
+    beginInvocation() { reset(); },
+
+    isStale(symbolId) { return stale.has(symbolId) || stale.has("*"); },
+
+    async usageReport() {
+      const day = new Date().toISOString().slice(0, 10);
+      const [requests, credits] = await Promise.all([safeGet(kQuota(inner.name, day, "requests")), safeGet(kQuota(inner.name, day, "credits"))]);
+      return { provider: inner.name, ...usage, stale: [...stale], today: { day, requests: Number(requests) || 0, credits: Number(credits) || 0 } };
+    },
+
+    async fetchSymbols() {
+      return await cachedEnvelope(kSymbols(inner.name), CACHE_CONFIG.SYMBOLS_FRESH_SEC, CACHE_CONFIG.SYMBOLS_KEEP_SEC, "fetchSymbols", () => inner.fetchSymbols(), "*");
+    },
+
+    async fetchTickerDaily(symbolId) {
+      return await cachedEnvelope(kTicker(inner.name, symbolId), CACHE_CONFIG.TICKER_FRESH_SEC, CACHE_CONFIG.TICKER_KEEP_SEC, "fetchTickerDaily", () => inner.fetchTickerDaily(symbolId), symbolId);
+    },
+
+    async fetchTickersDaily() {
+      return await cachedEnvelope(kTickers(inner.name), CACHE_CONFIG.TICKER_FRESH_SEC, CACHE_CONFIG.TICKER_KEEP_SEC, "fetchTickersDaily", () => inner.fetchTickersDaily(), "*");
+    },
+
+    async fetchKlines(symbolId, interval, limit) {
+      const key = kKlines(inner.name, symbolId, interval), step = INTERVAL_MS[interval], now = Date.now();
+      const cached = (await safeGet(key)) || [];
+      let fetchLimit = limit;
+      if (cached.length && step) {
+        const missingClosed = Math.max(0, Math.floor((now - cached[cached.length - 1].closeTime) / step));
+        if (cached.length + missingClosed + 1 >= limit) fetchLimit = Math.min(limit, missingClosed + 1);
+      }
+      if (fetchLimit < limit) usage.cacheHits++;
+
+      let fresh;
+      try { fresh = await upstream("fetchKlines", () => inner.fetchKlines(symbolId, interval, fetchLimit)); } catch (err) {
+        if (!cached.length) throw err;
+        stale.add(symbolId); return cached.slice(-limit);
+      }
+      const merged = mergeRows(cached, fresh);
+      await safeSet(key, merged.filter((r) => r.closeTime <= now).slice(-CACHE_CONFIG.KLINES_MAX_ROWS), CACHE_CONFIG.KLINES_KEEP_SEC);
+      return merged.slice(-limit);
+    },
+
+    async fetchFunding(symbolId, symbol) { return await upstream("fetchFunding", () => inner.fetchFunding(symbolId, symbol)); },
+
+    async fetchMarkPrice(symbolId, symbol) { return await upstream("fetchMarkPrice", () => inner.fetchMarkPrice(symbolId, symbol)); },
+  };
+}
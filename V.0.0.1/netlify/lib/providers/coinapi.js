@@ -0,0 +1,84 @@
+// netlify/lib/providers/coinapi.js
+import axios from "axios";
+import { createBinanceProvider } from "./binance.js";
+
+const COINAPI_BASE = "https://rest.coinapi.io";
+const COINAPI_EXCHANGE_ID = process.env.COINAPI_EXCHANGE_ID || "BINANCEFTS"; // Binance Futures default in CoinAPI
+const PERIODS = { "15m": "15MIN", "1h": "1HRS", "4h": "4HRS", "1d": "1DAY" };
+
+export function createCoinApiProvider() {
+  const apiKey = process.env.COINAPI_KEY || "";
+  const http = axios.create({ baseURL: COINAPI_BASE, timeout: 15000, headers: { "X-CoinAPI-Key": apiKey } });
+  // CoinAPI's OHLCV REST API carries no funding/mark data; for Binance Futures use its public endpoints.
+  const binance = COINAPI_EXCHANGE_ID === "BINANCEFTS" ? createBinanceProvider() : null;
+
+  // Rolling 24h ticker (like Binance's /ticker/24hr) built from the last 24 hourly bars, oldest first.
+  function toTicker(symbolId, bars) {
+    const open = bars[0].price_open, close = bars[bars.length - 1].price_close;
+    return {
+      symbol: symbolId,
+      priceChangePercent: ((close - open) / open) * 100,
+      highPrice: Math.max(...bars.map((b) => b.price_high)),
+      lowPrice: Math.min(...bars.map((b) => b.price_low)),
+      lastPrice: close,
+      volume: bars.reduce((s, b) => s + b.volume_traded, 0),
+      quoteVolume: bars.reduce((s, b) => s + b.volume_traded * b.price_close, 0)
+    };
+  }
+
+  function toRow(d) {
+    return { openTime: new Date(d.time_period_start).getTime(), closeTime: new Date(d.time_period_end).getTime(), open: d.price_open, high: d.price_high, low: d.price_low, close: d.price_close, volume: d.volume_traded };
+  }
+
+  return {
+    name: "coinapi",
+
+    configError() { return apiKey ? null : "COINAPI_KEY is not set."; },
+
+    // CoinAPI bills 1 credit per 100 data points (min 1); funding/mark go to Binance for free.
+    // fetchTickersDaily returns one ticker per symbol but reads 24 hourly bars for each.
+    creditCost(method, rows) { return method === "fetchFunding" || method === "fetchMarkPrice" ? 0 : Math.max(1, Math.ceil((method === "fetchTickersDaily" ? rows * 24 : rows) / 100)); },
+
+    async fetchSymbols() {
+      const { data } = await http.get("/v1/symbols", { params: { filter_exchange_id: COINAPI_EXCHANGE_ID, filter_asset_id: "USDT" } });
+      const out = [];
+      for (const s of data || []) {
+        // Use asset_id fields for robust matching
+        const base = s.asset_id_base || "", quote = s.asset_id_quote || "";
+        if (!base || !quote || s.symbol_type !== "PERPETUAL") continue;
+        out.push({ symbol: `${base}${quote}`, symbolId: s.symbol_id, tickSize: s.price_precision ? String(s.price_precision) : "0.01", stepSize: s.size_precision ? String(s.size_precision) : null });
+      }
+      return out;
+    },
+
+    async fetchTickerDaily(symbolId) {
+      const { data } = await http.get(`/v1/ohlcv/${symbolId}/history`, { params: { period_id: "1HRS", limit: 24 } });
+      if (!data || !data.length) throw new Error(`No hourly OHLCV data for ${symbolId}`);
+      return toTicker(symbolId, [...data].sort((a, b) => a.time_period_start.localeCompare(b.time_period_start)));
+    },
+
+    // One call for the whole exchange: the hourly bars of every symbol since 24h ago, rolled into a 24h ticker each.
+    async fetchTickersDaily() {
+      const timeStart = new Date(Math.floor(Date.now() / 3600_000) * 3600_000 - 23 * 3600_000).toISOString();
+      const { data } = await http.get(`/v1/ohlcv/exchanges/${COINAPI_EXCHANGE_ID}/history`, { params: { period_id: "1HRS", time_start: timeStart } });
+      const bySymbol = new Map();
+      for (const d of data || []) {
+        if (!d.symbol_id || !(d.price_open > 0)) continue;
+        if (!bySymbol.has(d.symbol_id)) bySymbol.set(d.symbol_id, []);
+        bySymbol.get(d.symbol_id).push(d);
+      }
+      return [...bySymbol].map(([symbolId, bars]) => toTicker(symbolId, bars.sort((a, b) => a.time_period_start.localeCompare(b.time_period_start))));
+    },
+
+    async fetchKlines(symbolId, interval, limit) {
+      const period = PERIODS[interval]; if (!period) throw new Error(`Unsupported interval ${interval}`);
+      const { data } = await http.get(`/v1/ohlcv/${symbolId}/history`, { params: { period_id: period, limit } });
+      if (!data || !data.length) throw new Error(`No ${interval} OHLCV data for ${symbolId}`);
+      return data.map(toRow).sort((a, b) => a.openTime - b.openTime);
+    },
+
+    async fetchFunding(symbolId, symbol) { return binance ? await binance.fetchFunding(symbol) : { lastFundingRate: 0, nextFundingTime: 0 }; },
+
+    async fetchMarkPrice(symbolId, symbol) { return binance ? await binance.fetchMarkPrice(symbol) : 0; },
+  };
+}
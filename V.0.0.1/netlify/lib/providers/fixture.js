@@ -0,0 +1,90 @@
+// netlify/lib/providers/fixture.js
+// Reads recorded candles from FIXTURE_DIR so the pipeline can run without network access.
+// Files: symbols.json (optional), <SYMBOL>_<interval>.json|.csv (e.g. BTCUSDT_1h.csv) and
+// <SYMBOL>_funding.json (optional) with { markPrice, lastFundingRate, nextFundingTime }.
+import fs from "node:fs/promises";
+import path from "node:path";
+
+export const INTERVAL_MS = { "15m": 15 * 60_000, "1h": 3600_000, "4h": 4 * 3600_000, "1d": 24 * 3600_000 };
+
+function toMs(v) { if (typeof v === "number") return v; if (/^\d+$/.test(String(v))) return Number(v); return new Date(v).getTime(); }
+
+// Accepts normalized rows, raw CoinAPI OHLCV objects and raw Binance kline arrays.
+function normalizeRow(r, interval) {
+  let row;
+  if (Array.isArray(r)) row = { openTime: toMs(r[0]), open: r[1], high: r[2], low: r[3], close: r[4], volume: r[5], closeTime: r[6] != null ? toMs(r[6]) + 1 : null };
+  else if (r.price_close != null) row = { openTime: toMs(r.time_period_start), closeTime: toMs(r.time_period_end), open: r.price_open, high: r.price_high, low: r.price_low, close: r.price_close, volume: r.volume_traded };
+  else row = { openTime: toMs(r.openTime), closeTime: r.closeTime != null && r.closeTime !== "" ? toMs(r.closeTime) : null, open: r.open, high: r.high, low: r.low, close: r.close, volume: r.volume };
+  const out = { openTime: row.openTime, closeTime: row.closeTime ?? row.openTime + INTERVAL_MS[interval], open: Number(row.open), high: Number(row.high), low: Number(row.low), close: Number(row.close), volume: Number(row.volume ?? 0) };
+  if (![out.openTime, out.open, out.high, out.low, out.close].every(Number.isFinite)) throw new Error(`Bad fixture row ${JSON.stringify(r)}`);
+  return out;
+}
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).map((l) => l.trim()).filter((l) => l && !l.startsWith("#"));
+  if (!lines.length) return [];
+  const header = lines[0].split(",").map((h) => h.trim());
+  return lines.slice(1).map((l) => { const cells = l.split(","); return Object.fromEntries(header.map((h, i) => [h, cells[i]?.trim()])); });
+}
+
+export function createFixtureProvider() {
+  const dir = path.resolve(process.env.FIXTURE_DIR || "fixtures");
+  const cache = new Map();
+
+  async function readMaybe(file) { try { return await fs.readFile(path.join(dir, file), "utf8"); } catch (err) { if (err.code === "ENOENT") return null; throw err; } }
+
+  async function loadCandles(symbol, interval) {
+    const key = `${symbol}_${interval}`; if (cache.has(key)) return cache.get(key);
+    let rows = null;
+    const jsonText = await readMaybe(`${key}.json`);
+    if (jsonText != null) rows = JSON.parse(jsonText);
+    else { const csvText = await readMaybe(`${key}.csv`); if (csvText != null) rows = parseCsv(csvText); }
+    const out = rows ? rows.map((r) => normalizeRow(r, interval)).sort((a, b) => a.openTime - b.openTime) : null;
+    cache.set(key, out); return out;
+  }
+
+  return {
+    name: "fixture",
+
+    configError() { return null; },
+
+    async fetchSymbols() {
+      const text = await readMaybe("symbols.json");
+      if (text != null) return JSON.parse(text).map((s) => ({ symbol: s.symbol, symbolId: s.symbolId || s.symbol, tickSize: s.tickSize ? String(s.tickSize) : "0.01", stepSize: s.stepSize ? String(s.stepSize) : null }));
+      const files = await fs.readdir(dir);
+      const symbols = [...new Set(files.map((f) => f.match(/^([A-Z0-9]+)_1h\.(json|csv)$/)?.[1]).filter(Boolean))];
+      return symbols.map((symbol) => ({ symbol, symbolId: symbol, tickSize: "0.01", stepSize: null }));
+    },
+
+    async fetchTickerDaily(symbolId) {
+      const daily = await loadCandles(symbolId, "1d");
+      const hourly = daily ? null : await loadCandles(symbolId, "1h");
+      const window = daily ? daily.slice(-1) : hourly?.slice(-24);
+      if (!window || !window.length) throw new Error(`No fixture candles for ${symbolId}`);
+      const open = window[0].open, last = window[window.length - 1].close;
+      return { symbol: symbolId, priceChangePercent: ((last - open) / open) * 100, highPrice: Math.max(...window.map((r) => r.high)), lowPrice: Math.min(...window.map((r) => r.low)), lastPrice: last, volume: window.reduce((a, r) => a + r.volume, 0), quoteVolume: window.reduce((a, r) => a + r.volume * r.close, 0) };
+    },
+
+    async fetchTickersDaily() {
+      const symbols = await this.fetchSymbols();
+      const tickers = await Promise.all(symbols.map((s) => this.fetchTickerDaily(s.symbolId).catch(() => null)));
+      return tickers.filter(Boolean);
+    },
+
+    async fetchKlines(symbolId, interval, limit) {
+      const rows = await loadCandles(symbolId, interval);
+      if (!rows || !rows.length) throw new Error(`No ${interval} fixture candles for ${symbolId}`);
+      return rows.slice(-limit);
+    },
+
+    async fetchFunding(symbolId) {
+      const text = await readMaybe(`${symbolId}_funding.json`); const f = text != null ? JSON.parse(text) : {};
+      return { lastFundingRate: Number(f.lastFundingRate ?? 0), nextFundingTime: f.nextFundingTime ? toMs(f.nextFundingTime) : 0, markPrice: Number(f.markPrice ?? 0) };
+    },
+
+    async fetchMarkPrice(symbolId) {
+      const text = await readMaybe(`${symbolId}_funding.json`);
+      return text != null ? Number(JSON.parse(text).markPrice ?? 0) : 0;
+    },
+  };
+}
@@ -0,0 +1,28 @@
+// netlify/lib/providers/index.js
+// Market-data provider selected by MARKET_DATA_PROVIDER (coinapi | binance | fixture).
+// Every provider returns the same shapes:
+//   fetchSymbols()                       -> [{ symbol, symbolId, tickSize, stepSize }]
+//   fetchTickerDaily(symbolId)           -> { symbol, priceChangePercent, highPrice, lowPrice, lastPrice, volume, quoteVolume }
+//   fetchTickersDaily()                  -> the same ticker for every symbol at once (symbol = symbolId), used by scan mode
+//   fetchKlines(symbolId, interval, n)   -> [{ openTime, closeTime, open, high, low, close, volume }] oldest first
+//   fetchFunding(symbolId, symbol)       -> { lastFundingRate, nextFundingTime, markPrice? }  (zeros when unknown;
+//                                           markPrice when the same upstream response carries it)
+//   fetchMarkPrice(symbolId, symbol)     -> number (0 when unknown)
+//   maxKlines                            -> optional cap on n per fetchKlines call
+// Network providers are wrapped in the Redis cache (./cache.js) when a redis client is passed,
+// unless MARKET_DATA_CACHE=off.
+import { createCoinApiProvider } from "./coinapi.js";
+import { createBinanceProvider } from "./binance.js";
+import { createFixtureProvider } from "./fixture.js";
+import { withCache } from "./cache.js";
+
+export { INTERVAL_MS } from "./fixture.js";
+
+const FACTORIES = { coinapi: createCoinApiProvider, binance: createBinanceProvider, fixture: createFixtureProvider };
+
+export function createProvider(name = process.env.MARKET_DATA_PROVIDER || "coinapi", { redis } = {}) {
+  const key = String(name).toLowerCase(), factory = FACTORIES[key];
+  if (!factory) throw new Error(`Unknown MARKET_DATA_PROVIDER "${name}" (expected ${Object.keys(FACTORIES).join(", ")})`);
+  const inner = factory();
+  return redis && key !== "fixture" && process.env.MARKET_DATA_CACHE !== "off" ? withCache(inner, { redis }) : inner;
+}
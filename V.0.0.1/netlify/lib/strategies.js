@@ -0,0 +1,89 @@
+// netlify/lib/strategies.js
+// Strategy registry. A strategy gets the parsed candles ({ open, high, low, close, volume, closeTime } arrays)
+// plus { trend, ind, params } and returns { direction: "LONG" | "SHORT" | "NONE", score: 0..1, reasons, reversal? }.
+// runEnsemble combines the votes with per-strategy weights; weight 0 still votes (for attribution) but never decides.
+import { EMA, ATR } from "technicalindicators";
+
+const STRATEGIES = new Map();
+
+export function registerStrategy(name, evaluate) {
+  if (STRATEGIES.has(name)) throw new Error(`Strategy "${name}" is already registered`);
+  STRATEGIES.set(name, evaluate);
+}
+
+export function strategyNames() { return [...STRATEGIES.keys()]; }
+
+const NONE = (reason) => ({ direction: "NONE", score: 0, reasons: [reason] });
+const clamp01 = (x) => Math.max(0, Math.min(1, x));
+
+// The original rule set: RSI bands against the trend, MACD histogram when sideways.
+registerStrategy("rsi_macd", (c, { trend, ind }) => {
+  const rsi = ind.rsi, macdH = ind.macd?.histogram;
+  if (trend === "UP") { if (rsi != null && rsi >= 70) return { direction: "SHORT", score: 1, reasons: ["RSI_OVERBOUGHT_IN_UPTREND"], reversal: true }; return { direction: "LONG", score: 1, reasons: ["UPTREND_RSI_OK"] }; }
+  if (trend === "DOWN") { if (rsi != null && rsi <= 30) return { direction: "LONG", score: 1, reasons: ["RSI_OVERSOLD_IN_DOWNTREND"], reversal: true }; return { direction: "SHORT", score: 1, reasons: ["DOWNTREND_RSI_OK"] }; }
+  if (rsi != null && macdH != null) { if (rsi > 55 && macdH > 0) return { direction: "LONG", score: 1, reasons: ["SIDE_BULL_BIAS"] }; if (rsi < 45 && macdH < 0) return { direction: "SHORT", score: 1, reasons: ["SIDE_BEAR_BIAS"] }; }
+  return NONE("SIDE_NO_EDGE");
+});
+
+// Fast/slow EMA: a fresh cross scores 1, otherwise the spread (relative to EMA_FULL_SPREAD_PCT) sets the score.
+registerStrategy("ema_cross", (c, { params }) => {
+  const fast = EMA.calculate({ values: c.close, period: params.EMA_FAST }), slow = EMA.calculate({ values: c.close, period: params.EMA_SLOW });
+  const n = Math.min(fast.length, slow.length); if (n < 2) return NONE("EMA_UNAVAILABLE");
+  const diff = (k) => fast[fast.length - 1 - k] - slow[slow.length - 1 - k];
+  const direction = diff(0) > 0 ? "LONG" : diff(0) < 0 ? "SHORT" : "NONE"; if (direction === "NONE") return NONE("EMA_FLAT");
+  const crossedAgo = [...Array(Math.min(params.EMA_CROSS_LOOKBACK, n - 1)).keys()].find((k) => Math.sign(diff(k)) !== Math.sign(diff(k + 1)));
+  if (crossedAgo != null) return { direction, score: 1, reasons: [direction === "LONG" ? "EMA_CROSS_UP" : "EMA_CROSS_DOWN"] };
+  const spreadPct = (Math.abs(diff(0)) / slow[slow.length - 1]) * 100;
+  return { direction, score: clamp01(spreadPct / params.EMA_FULL_SPREAD_PCT), reasons: [direction === "LONG" ? "EMA_FAST_ABOVE" : "EMA_FAST_BELOW"] };
+});
+
+// Classic Supertrend (hl2 ± mult * ATR bands that only tighten); a recent flip scores 1.
+registerStrategy("supertrend", (c, { params }) => {
+  const period = params.SUPERTREND_PERIOD, mult = params.SUPERTREND_MULT;
+  const atr = ATR.calculate({ high: c.high, low: c.low, close: c.close, period }); if (atr.length < 2) return NONE("SUPERTREND_UNAVAILABLE");
+  const off = c.close.length - atr.length;
+  let upper = Infinity, lower = -Infinity, up = true, flippedAt = -1;
+  for (let k = 0; k < atr.length; k++) {
+    const i = k + off, hl2 = (c.high[i] + c.low[i]) / 2, prevClose = c.close[i - 1] ?? c.close[i];
+    const bu = hl2 + mult * atr[k], bl = hl2 - mult * atr[k];
+    upper = bu < upper || prevClose > upper ? bu : upper; lower = bl > lower || prevClose < lower ? bl : lower;
+    const next = up ? c.close[i] >= lower : c.close[i] > upper;
+    if (k > 0 && next !== up) flippedAt = i; up = next;
+  }
+  const direction = up ? "LONG" : "SHORT", fresh = flippedAt >= 0 && c.close.length - 1 - flippedAt < params.SUPERTREND_FLIP_LOOKBACK;
+  return { direction, score: fresh ? 1 : 0.6, reasons: [fresh ? (up ? "SUPERTREND_FLIP_UP" : "SUPERTREND_FLIP_DOWN") : (up ? "SUPERTREND_UP" : "SUPERTREND_DOWN")] };
+});
+
+// Mean reversion: fade closes more than VWAP_Z_THRESHOLD standard deviations from the rolling VWAP.
+registerStrategy("vwap_dev", (c, { params }) => {
+  const n = params.VWAP_BARS, from = c.close.length - n; if (from < 0) return NONE("VWAP_UNAVAILABLE");
+  let pv = 0, v = 0; const typical = [];
+  for (let i = from; i < c.close.length; i++) { const tp = (c.high[i] + c.low[i] + c.close[i]) / 3; typical.push(tp); pv += tp * c.volume[i]; v += c.volume[i]; }
+  if (!(v > 0)) return NONE("VWAP_NO_VOLUME");
+  const vwap = pv / v, sd = Math.sqrt(typical.reduce((a, tp) => a + (tp - vwap) ** 2, 0) / n); if (!(sd > 0)) return NONE("VWAP_FLAT");
+  const z = (c.close[c.close.length - 1] - vwap) / sd, thr = params.VWAP_Z_THRESHOLD;
+  if (Math.abs(z) < thr) return NONE("VWAP_INSIDE_BAND");
+  return { direction: z < 0 ? "LONG" : "SHORT", score: clamp01(Math.abs(z) / (2 * thr)), reasons: [z < 0 ? "VWAP_BELOW_BAND" : "VWAP_ABOVE_BAND"], reversal: true };
+});
+
+// Weighted vote: net = sum(w * score * ±1) / sum(w). Below minScore -> NO_TRADE.
+// The returned { dir, reason } keeps the old directionCandidate shape ("*_CANDIDATE" for reversal setups).
+export function runEnsemble(c, ctx, weights, minScore) {
+  const votes = []; let net = 0, totalW = 0;
+  for (const [name, evaluate] of STRATEGIES) {
+    const w = Number(weights?.[name] ?? 0);
+    let vote; try { vote = evaluate(c, ctx); } catch (err) { vote = NONE("STRATEGY_ERROR"); }
+    const sign = vote.direction === "LONG" ? 1 : vote.direction === "SHORT" ? -1 : 0;
+    if (w > 0) { net += w * vote.score * sign; totalW += w; }
+    votes.push({ name, weight: w, direction: vote.direction, score: Math.round(vote.score * 1000) / 1000, reasons: vote.reasons, reversal: !!vote.reversal, contribution: w * vote.score * sign });
+  }
+  const score = totalW > 0 ? net / totalW : 0;
+  const ensemble = { score: Math.round(score * 1000) / 1000, votes: votes.map(({ contribution, ...v }) => v) };
+  if (Math.abs(score) < minScore || score === 0) {
+    const lead = votes.filter((v) => v.weight > 0).sort((a, b) => b.weight - a.weight)[0];
+    return { dir: "NO_TRADE", reason: lead?.direction === "NONE" ? lead.reasons[0] : "ENSEMBLE_NO_EDGE", ensemble };
+  }
+  const direction = score > 0 ? "LONG" : "SHORT";
+  const lead = votes.filter((v) => v.direction === direction).sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))[0];
+  return { dir: lead.reversal ? `${direction}_CANDIDATE` : direction, reason: lead.reasons[0], ensemble };
+}
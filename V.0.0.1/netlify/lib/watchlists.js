@@ -0,0 +1,14 @@
+// netlify/lib/watchlists.js
+// Shared between trade-bot (writer of stored watchlists and pending previews) and liq-ingest (which ingests for them).
+
+export const kWatchlist = (name) => `cfg:watchlist:${name}`;
+export const kWatchlists = () => "cfg:watchlists";
+export const kPendingSymbols = (user) => `sig:pendingset:${user}`;
+export const kPendingUsers = () => "sig:pendingusers";
+
+// The env WATCHLIST, which is also the "default" watchlist until one is stored under that name.
+export function parseWatchlist() {
+  const raw = (process.env.WATCHLIST || "").trim();
+  if (!raw) return [];
+  return raw.split(",").map((s) => s.trim().toUpperCase()).filter(Boolean);
+}